@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// Base class for WebSocketSupport adapters. Subclasses implement send(payload) and,
+// for transports that need it, connect() and close(). Incoming payloads go through receive().
+class Adapter {
+  constructor(options = {}) {
+    this.nodeId = options.nodeId || `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.handler = null;
+  }
+
+  async init(handler) {
+    this.handler = handler;
+    await this.connect();
+  }
+
+  async connect() {}
+
+  // Messages are { type, ...fields, data }; binary data travels as base64
+  publish(message) {
+    const { data } = message;
+    const payload = {
+      ...message,
+      nodeId: this.nodeId,
+      data: Buffer.isBuffer(data) ? data.toString('base64') : data,
+      binary: Buffer.isBuffer(data) || undefined
+    };
+    return this.send(JSON.stringify(payload));
+  }
+
+  receive(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+
+    // Every node sees its own publishes on shared channels
+    if (!message || message.nodeId === this.nodeId) return;
+    if (message.binary) message.data = Buffer.from(message.data, 'base64');
+    this.handler?.(message);
+  }
+
+  async send() {
+    throw new Error('Adapter must implement send()');
+  }
+
+  async close() {
+    this.handler = null;
+  }
+}
+
+module.exports = Adapter;
@@ -0,0 +1,52 @@
+const cluster = require('cluster');
+const Adapter = require('./adapter');
+
+const MESSAGE_KEY = 'express-raw:ws';
+
+// Node `cluster` IPC. Workers cannot message each other directly, so the primary
+// relays: call ClusterAdapter.setupPrimary() once in the primary process.
+class ClusterAdapter extends Adapter {
+  constructor(options = {}) {
+    super({ nodeId: options.nodeId || (cluster.worker ? `worker-${cluster.worker.id}` : undefined) });
+    this.listener = (message) => {
+      if (message && typeof message[MESSAGE_KEY] === 'string') this.receive(message[MESSAGE_KEY]);
+    };
+  }
+
+  async connect() {
+    if (!process.send) {
+      throw new Error('ClusterAdapter must run in a cluster worker');
+    }
+    process.on('message', this.listener);
+  }
+
+  async send(payload) {
+    // A disconnected worker is shutting down; dropping its broadcasts is fine
+    if (!process.connected) return;
+    process.send({ [MESSAGE_KEY]: payload });
+  }
+
+  async close() {
+    process.off('message', this.listener);
+    await super.close();
+  }
+
+  static setupPrimary() {
+    // isPrimary is Node 16+; older versions only have isMaster
+    if (!(cluster.isPrimary ?? cluster.isMaster)) return () => {};
+
+    const relay = (from, message) => {
+      if (!message || typeof message[MESSAGE_KEY] !== 'string') return;
+      Object.values(cluster.workers).forEach((worker) => {
+        if (worker && worker !== from && worker.isConnected()) worker.send(message);
+      });
+    };
+
+    cluster.on('message', relay);
+    return () => cluster.off('message', relay);
+  }
+}
+
+ClusterAdapter.MESSAGE_KEY = MESSAGE_KEY;
+
+module.exports = ClusterAdapter;
@@ -0,0 +1,10 @@
+// WebSocketSupport adapters fan broadcasts and room messages out to other processes.
+// Every adapter implements:
+//   nodeId, init(handler), publish(message) and close()
+// and calls handler(message) for messages published by other nodes.
+module.exports = {
+  Adapter: require('./adapter'),
+  MemoryAdapter: require('./memoryAdapter'),
+  ClusterAdapter: require('./clusterAdapter'),
+  RedisAdapter: require('./redisAdapter')
+};
@@ -0,0 +1,28 @@
+const { EventEmitter } = require('events');
+const Adapter = require('./adapter');
+
+// Single-process default. Instances sharing a `bus` (any EventEmitter) reach each other,
+// which is mostly useful for running several servers in one process or in tests.
+class MemoryAdapter extends Adapter {
+  constructor(options = {}) {
+    super(options);
+    this.bus = options.bus || new EventEmitter();
+    this.listener = payload => this.receive(payload);
+  }
+
+  async connect() {
+    this.bus.on('message', this.listener);
+  }
+
+  async send(payload) {
+    // Delivered asynchronously, like every other adapter
+    setImmediate(() => this.bus.emit('message', payload));
+  }
+
+  async close() {
+    this.bus.off('message', this.listener);
+    await super.close();
+  }
+}
+
+module.exports = MemoryAdapter;
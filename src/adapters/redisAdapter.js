@@ -0,0 +1,59 @@
+const RedisClient = require('../redisClient');
+const Adapter = require('./adapter');
+
+// Redis pub/sub. A subscribed connection can't run other commands, so publishing
+// uses a second connection. Works with anything that speaks RESP PUBLISH/SUBSCRIBE.
+class RedisAdapter extends Adapter {
+  constructor(options = {}) {
+    super(options);
+    this.channel = `${options.prefix || 'express-raw:'}ws`;
+    this.retryDelayMs = options.retryDelayMs || 1000;
+
+    this.pubClient = options.pubClient || new RedisClient(options);
+    this.subClient = options.subClient || new RedisClient(options);
+    this.closed = false;
+    this.retryTimer = null;
+
+    this.onPush = (reply) => {
+      if (Array.isArray(reply) && reply[0] === 'message' && reply[1] === this.channel) {
+        this.receive(reply[2]);
+      }
+    };
+    this.onClose = () => this.scheduleResubscribe();
+    // Errors surface through the failed command; without a listener EventEmitter would throw
+    this.onError = () => {};
+  }
+
+  async connect() {
+    this.subClient.on('push', this.onPush);
+    this.subClient.on('close', this.onClose);
+    this.subClient.on('error', this.onError);
+    await this.subClient.command(['SUBSCRIBE', this.channel]);
+  }
+
+  scheduleResubscribe() {
+    if (this.closed || this.retryTimer) return;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.subClient.command(['SUBSCRIBE', this.channel]).catch(() => this.scheduleResubscribe());
+    }, this.retryDelayMs);
+    this.retryTimer.unref();
+  }
+
+  async send(payload) {
+    await this.pubClient.command(['PUBLISH', this.channel, payload]);
+  }
+
+  async close() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    this.subClient.off('push', this.onPush);
+    this.subClient.off('close', this.onClose);
+    this.subClient.off('error', this.onError);
+    await Promise.all([this.pubClient.close(), this.subClient.close()]);
+    await super.close();
+  }
+}
+
+module.exports = RedisAdapter;
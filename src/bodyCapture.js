@@ -0,0 +1,89 @@
+const DEFAULT_CONTENT_TYPES = [
+  'application/json',
+  'application/*+json',
+  'application/x-www-form-urlencoded',
+  'application/xml',
+  'text/*'
+];
+
+// 'text/*' matches any text type; parameters such as charset are ignored
+function matchesContentType(contentType, allowed) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (!type) return false;
+
+  return allowed.some((pattern) => {
+    if (!pattern.includes('*')) return type === pattern;
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('[^;]*');
+    return new RegExp(`^${source}$`).test(type);
+  });
+}
+
+// Tees everything written to the response into a buffer of at most maxBytes.
+// Whether to capture is decided on the first write, once the status code is known.
+function captureResponse(res, { maxBytes, shouldCapture }) {
+  const capture = { chunks: [], bytes: 0, total: 0, active: null };
+  const { write, end } = res;
+
+  const record = (chunk, encoding) => {
+    if (capture.active === null) capture.active = shouldCapture(res);
+    if (!capture.active || !chunk || typeof chunk === 'function') return;
+
+    const buffer = Buffer.isBuffer(chunk)
+      ? chunk
+      : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    capture.total += buffer.length;
+    if (capture.bytes < maxBytes) {
+      const part = buffer.subarray(0, maxBytes - capture.bytes);
+      capture.chunks.push(part);
+      capture.bytes += part.length;
+    }
+  };
+
+  res.write = function (chunk, encoding, ...args) {
+    record(chunk, encoding);
+    return write.call(this, chunk, encoding, ...args);
+  };
+  res.end = function (chunk, encoding, ...args) {
+    record(chunk, encoding);
+    return end.call(this, chunk, encoding, ...args);
+  };
+
+  return capture;
+}
+
+function truncate(text, maxBytes, total) {
+  const bytes = Buffer.byteLength(text);
+  const size = Math.max(bytes, total || 0);
+  if (size <= maxBytes) return text;
+  return `${Buffer.from(text).subarray(0, maxBytes).toString()}… [truncated, ${size} bytes]`;
+}
+
+// Renders a captured body as redacted text. Complete JSON bodies are redacted by key,
+// everything else by pattern only.
+function formatBody(body, { contentType, maxBytes, total, redactor }) {
+  if (body === undefined || body === null) return undefined;
+
+  if (!Buffer.isBuffer(body) && typeof body === 'object') {
+    return truncate(JSON.stringify(redactor ? redactor.value(body) : body), maxBytes);
+  }
+
+  const text = Buffer.isBuffer(body) ? body.toString() : String(body);
+  if (!redactor) return truncate(text, maxBytes, total);
+
+  const complete = !total || total <= maxBytes;
+  if (complete && matchesContentType(contentType, ['application/json', 'application/*+json'])) {
+    try {
+      return truncate(JSON.stringify(redactor.value(JSON.parse(text))), maxBytes);
+    } catch {
+      // Not valid JSON after all, fall back to pattern redaction
+    }
+  }
+  return truncate(redactor.string(text), maxBytes, total);
+}
+
+module.exports = {
+  DEFAULT_CONTENT_TYPES,
+  matchesContentType,
+  captureResponse,
+  formatBody
+};
@@ -1,3 +1,12 @@
+const getClientIp = require('./getClientIp');
+const { LEVELS, Measure, formatJson, formatLogfmt } = require('./logFormats');
+const { createTransport } = require('./transports');
+const requestContext = require('./requestContext');
+const { createRedactor } = require('./redaction');
+const { LatencyStats } = require('./latencyStats');
+const { PRESETS, TOKENS, compileFormat } = require('./logTokens');
+const { DEFAULT_CONTENT_TYPES, matchesContentType, captureResponse, formatBody } = require('./bodyCapture');
+
 class ExpressLogger {
   constructor(config = {}) {
     this.defaultConfig = {
@@ -8,22 +17,105 @@ class ExpressLogger {
         errors: true,
         heartbeat: true,
         performance: true,
-        rateLimit: true
+        rateLimit: true,
+        aborted: true
       },
       heartbeatInterval: 10000,
-      colors: true
+      heartbeatRoutes: 5,        // Busiest routes listed in each heartbeat
+      colors: true,
+      // 'pretty' for coloured multi-line output, 'json' (NDJSON) or 'logfmt' for one line per event,
+      // or an access-log template: a preset ('combined', 'common', 'short', 'tiny') or a token string
+      // such as ':method :url :status :response-time ms'
+      format: 'pretty',
+      // How other events are written when `format` is a template
+      templateFallback: 'logfmt',
+      // Log a line when each request starts. Defaults to off for templates, so the stream
+      // holds one access line per request, and on for every other format.
+      requestStart: null,
+      // Where entries go: StreamTransport/FileTransport/SyslogTransport instances,
+      // { type: 'stream' | 'file' | 'syslog', ...options } objects or (entry, line) => void functions.
+      // Without transports entries are written with console.log.
+      transports: null,
+      // Entries below this level are dropped; request start lines are 'debug', responses 'info'
+      level: 'debug',
+      // Path patterns (regex strings, RegExps or req => boolean) deciding which requests are logged
+      includePaths: null,
+      excludePaths: [],
+      // Share of successful requests to log; errors and slow responses are always logged
+      sampleRate: 1,
+      slowThreshold: 1000,
+      // Per-route slow thresholds in ms, keyed by route pattern with or without the method:
+      // { 'GET /reports/:id': 5000, '/search': 2000 }
+      routeSlowThresholds: {},
+      // Correlation ID set on req.id, echoed on the response and added to every entry for the request
+      requestId: {
+        enabled: true,
+        header: 'X-Request-Id',
+        trustHeader: true,       // Reuse a valid inbound X-Request-Id instead of generating one
+        setHeader: true,
+        generate: null           // (req, trace) => string, defaults to the W3C trace ID
+      },
+      // Opt-in request/response body capture, added to the response entry as RequestBody/ResponseBody
+      captureBodies: {
+        enabled: false,
+        request: true,
+        response: true,
+        maxBytes: 2048,
+        contentTypes: DEFAULT_CONTENT_TYPES,
+        paths: [],               // Always capture for these path patterns
+        onError: true            // Capture for 4xx/5xx responses
+      },
+      // Log uncaughtException / unhandledRejection: true or
+      // { uncaughtException, unhandledRejection, exitOnError } (exits after either by default, like Node)
+      processErrors: false,
+      // Masks sensitive headers, keys (password, token...), cards, emails and JWTs in every entry.
+      // true for the defaults, false to turn off, or { headers, paths, patterns, defaults, censor }
+      redact: true,
+      trustProxy: true,
+      proxyCount: 0,
+      trustedProxies: [],
+      proxyHeader: 'x-forwarded-for'
     };
 
     this.config = { ...this.defaultConfig, ...config };
+    this.config.enabled = { ...this.defaultConfig.enabled, ...config.enabled };
+    this.config.requestId = { ...this.defaultConfig.requestId, ...config.requestId };
+    this.config.captureBodies = { ...this.defaultConfig.captureBodies, ...config.captureBodies };
+    this.setLevel(this.config.level);
+    this.config.requestStart = this.config.requestStart ?? !isTemplateFormat(this.config.format);
+    this.redactor = createRedactor(this.config.redact);
+    this.pathFilters = {
+      include: this.config.includePaths ? compilePatterns(this.config.includePaths) : null,
+      exclude: compilePatterns(this.config.excludePaths || []),
+      capture: compilePatterns(this.config.captureBodies.paths || [])
+    };
+    this.latency = new LatencyStats();
+    this.tokens = { ...TOKENS };
+    this.servers = new Map();
+    this.heartbeatTimer = null;
+    this.templates = new Map();
     this.stats = {
       startTime: Date.now(),
       requests: 0,
       errors: 0,
       activeConnections: 0,
+      openSockets: 0,
+      aborted: 0,
       rateLimited: 0,
       banned: 0
     };
 
+    this.transports = (this.config.transports || []).map(createTransport);
+    if (this.transports.length) {
+      // Write out whatever is still buffered when the process winds down
+      this.exitHandlers = {
+        beforeExit: () => this.flush(),
+        exit: () => this.transports.forEach(transport => transport.flushSync?.())
+      };
+      process.once('beforeExit', this.exitHandlers.beforeExit);
+      process.once('exit', this.exitHandlers.exit);
+    }
+
     this.colors = {
       reset: '\x1b[0m',
       red: '\x1b[31m',
@@ -48,30 +140,133 @@ class ExpressLogger {
       banned: '🚫',
       performance: '⚡'
     };
+
+    if (this.config.processErrors) {
+      this.handleProcessErrors(this.config.processErrors === true ? {} : this.config.processErrors);
+    }
   }
 
-  colorize(text, color) {
-    return this.config.colors ? `${this.colors[color]}${text}${this.colors.reset}` : text;
+  colorize(text, color, enabled = this.config.colors) {
+    return enabled ? `${this.colors[color]}${text}${this.colors.reset}` : text;
   }
 
   formatTime() {
     return `[${new Date().toISOString()}]`;
   }
 
-  formatMessage(type, symbol, message, data = {}) {
-    const time = this.colorize(this.formatTime(), 'gray');
-    const typeStr = this.colorize(`[${type}]`, this.getColorForType(type));
+  formatMessage(type, symbol, message, data = {}, colors = this.config.colors) {
+    const time = this.colorize(this.formatTime(), 'gray', colors);
+    const typeStr = this.colorize(`[${type}]`, this.getColorForType(type), colors);
     const dataStr = Object.entries(data)
-      .map(([key, value]) => `\n    ${this.colorize(key, 'cyan')}: ${value}`)
+      .map(([key, value]) => `\n    ${this.colorize(key, 'cyan', colors)}: ${formatValue(value)}`)
       .join('');
 
     return `${time} ${symbol} ${typeStr} ${message}${dataStr}`;
   }
 
+  // Every event becomes one entry; the configured format decides how it is written
+  // The request ID comes from meta.requestId, meta.req or the active request context
+  createEntry(type, symbol, message, data = {}, meta = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level: meta.level || this.getLevelForType(type),
+      event: meta.event || type.toLowerCase(),
+      requestId: meta.requestId || meta.req?.id || requestContext.getRequestId(),
+      type,
+      symbol,
+      message,
+      data
+    };
+    // Available to format templates, but kept out of serialised entries
+    Object.defineProperties(entry, {
+      req: { value: meta.req },
+      res: { value: meta.res }
+    });
+    return entry;
+  }
+
+  formatEntry(entry, format = this.config.format, colors = this.config.colors) {
+    switch (format) {
+      case 'json':
+        return formatJson(entry);
+      case 'logfmt':
+        return formatLogfmt(entry);
+      case 'pretty':
+      case undefined:
+        return this.formatMessage(
+          entry.type,
+          entry.symbol,
+          entry.message,
+          entry.requestId ? { RequestId: entry.requestId, ...entry.data } : entry.data,
+          colors
+        );
+      default:
+        return isTemplateFormat(format)
+          ? this.formatTemplate(entry, format, colors)
+          : this.formatEntry(entry, 'pretty', colors);
+    }
+  }
+
+  // Access-log templates describe a finished request; other events use templateFallback
+  formatTemplate(entry, format, colors) {
+    if (entry.event !== 'response' || !entry.req) {
+      return this.formatEntry(entry, this.config.templateFallback || 'logfmt', colors);
+    }
+
+    if (!this.templates.has(format)) {
+      this.templates.set(format, compileFormat(PRESETS[format] || format, this.tokens));
+    }
+    return this.templates.get(format)({ req: entry.req, res: entry.res, entry, logger: this });
+  }
+
+  // Registers a template token: logger.token('user-id', ({ req }) => req.user?.id)
+  token(name, fn) {
+    if (typeof fn !== 'function') throw new Error(`Token "${name}" needs a function`);
+    this.tokens[name] = fn;
+    return this;
+  }
+
+  setLevel(level) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level "${level}", expected one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+    this.config.level = level;
+  }
+
+  getLevel() {
+    return this.config.level;
+  }
+
+  isLevelEnabled(level) {
+    return (LEVELS[level] ?? LEVELS.info) >= LEVELS[this.config.level];
+  }
+
+  shouldLogPath(req) {
+    const path = req.path || (req.url || '').split('?')[0];
+    if (this.pathFilters.include && !this.pathFilters.include.some(test => test(path, req))) return false;
+    return !this.pathFilters.exclude.some(test => test(path, req));
+  }
+
+  getLevelForType(type) {
+    const levelMap = {
+      TRACE: 'trace',
+      DEBUG: 'debug',
+      FATAL: 'fatal',
+      ERROR: 'error',
+      WARNING: 'warn',
+      RATELIMIT: 'warn',
+      BANNED: 'warn'
+    };
+    return levelMap[type] || 'info';
+  }
+
   getColorForType(type) {
     const colorMap = {
       SERVER: 'green',
       ERROR: 'red',
+      FATAL: 'red',
+      TRACE: 'gray',
+      DEBUG: 'gray',
       INFO: 'blue',
       WARNING: 'yellow',
       HEARTBEAT: 'magenta',
@@ -84,6 +279,9 @@ class ExpressLogger {
   }
 
   serverStart(port) {
+    if (this.config.enabled.heartbeat) {
+      this.startHeartbeat();
+    }
     if (!this.config.enabled.server) return;
     
     this.log('SERVER', this.symbols.server, 'Server started', {
@@ -91,61 +289,208 @@ class ExpressLogger {
       Environment: process.env.NODE_ENV || 'development',
       NodeVersion: process.version,
       PID: process.pid,
-      Memory: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`,
+      Memory: new Measure(Math.round(process.memoryUsage().heapUsed / 1024 / 1024), 'MB'),
       Time: new Date().toLocaleString(),
-      StartupDuration: `${Date.now() - this.stats.startTime}ms`
-    });
+      StartupDuration: new Measure(Date.now() - this.stats.startTime, 'ms')
+    }, { event: 'server' });
+  }
 
-    if (this.config.enabled.heartbeat) {
-      this.startHeartbeat();
+  log(type, symbol, message, data = {}, meta = {}) {
+    if (!this.isLevelEnabled(meta.level || this.getLevelForType(type))) return;
+
+    const entry = this.redactor
+      ? this.createEntry(type, symbol, this.redactor.string(message), this.redactor.value(data), meta)
+      : this.createEntry(type, symbol, message, data, meta);
+    if (!this.transports.length) {
+      console.log(this.formatEntry(entry));
+      return;
     }
+    this.transports.forEach(transport => transport.log(entry, this));
   }
 
-  log(type, symbol, message, data = {}) {
-    console.log(this.formatMessage(type, symbol, message, data));
+  trace(message, data) {
+    this.log('TRACE', this.symbols.info, message, data, { event: 'log' });
   }
 
-  request(req) {
+  debug(message, data) {
+    this.log('DEBUG', this.symbols.info, message, data, { event: 'log' });
+  }
+
+  info(message, data) {
+    this.log('INFO', this.symbols.info, message, data, { event: 'log' });
+  }
+
+  warn(message, data) {
+    this.log('WARNING', this.symbols.warning, message, data, { event: 'log' });
+  }
+
+  fatal(message, data) {
+    const err = message instanceof Error ? message : null;
+    this.log('FATAL', this.symbols.error, err ? err.message : message, err ? { Stack: err.stack, ...data } : data, { event: 'log' });
+  }
+
+  // Resolves once every transport has written what it has buffered
+  async flush() {
+    await Promise.all(this.transports.map(transport => transport.flush?.()));
+  }
+
+  async close() {
+    this.stop();
+    this.removeProcessErrorHandlers();
+    if (this.exitHandlers) {
+      process.removeListener('beforeExit', this.exitHandlers.beforeExit);
+      process.removeListener('exit', this.exitHandlers.exit);
+      this.exitHandlers = null;
+    }
+    await Promise.all(this.transports.map(transport => transport.close?.()));
+  }
+
+  // `log: false` still counts the request but writes nothing (used for sampled-out requests)
+  request(req, { log = true } = {}) {
     if (!this.config.enabled.requests) return;
     
     this.stats.requests++;
-    this.stats.activeConnections++;
+    if (!log || !this.config.requestStart) return;
 
     this.log('INFO', this.symbols.info, `${req.method} ${req.url}`, {
-      IP: req.ip,
+      IP: getClientIp(req, this.config),
       UserAgent: req.headers['user-agent'],
-      RequestId: this.stats.requests,
       ActiveConnections: this.stats.activeConnections,
       Timestamp: new Date().toISOString()
-    });
+    }, { event: 'request', level: 'debug', req });
   }
 
-  response(req, res, duration) {
+  response(req, res, duration, { log = true, bodies = {} } = {}) {
     if (!this.config.enabled.responses) return;
     
-    this.stats.activeConnections--;
+    if (!log) return;
     const type = res.statusCode >= 400 ? 'ERROR' : 'SUCCESS';
     const symbol = res.statusCode >= 400 ? this.symbols.error : this.symbols.success;
 
     this.log(type, symbol, `${res.statusCode} ${req.method} ${req.url}`, {
-      Duration: `${duration}ms`,
-      ContentLength: res.get('content-length') || 0,
+      Status: res.statusCode,
+      Duration: new Measure(duration, 'ms'),
+      ContentLength: Number(res.get('content-length')) || 0,
       ActiveConnections: this.stats.activeConnections,
-      ContentType: res.get('content-type') || 'unknown'
+      ContentType: res.get('content-type') || 'unknown',
+      ...bodies
+    }, {
+      event: 'response',
+      req,
+      res,
+      level: res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info'
     });
   }
 
-  error(err, req = {}) {
+  error(err, req = {}, data = {}) {
     if (!this.config.enabled.errors) return;
     
     this.stats.errors++;
+    const status = data.Status;
     this.log('ERROR', this.symbols.error, err.message, {
       URL: req.url || 'N/A',
       Method: req.method || 'N/A',
       Stack: err.stack,
       TotalErrors: this.stats.errors,
-      Timestamp: new Date().toISOString()
-    });
+      Timestamp: new Date().toISOString(),
+      ...data
+    }, { event: 'error', req, level: status && status < 500 ? 'warn' : 'error' });
+  }
+
+  // The client went away before the response finished
+  aborted(req, res, duration) {
+    this.stats.aborted++;
+    if (!this.config.enabled.aborted) return;
+
+    this.log('WARNING', this.symbols.warning, `Client aborted ${req.method} ${req.url}`, {
+      Duration: new Measure(duration, 'ms'),
+      HeadersSent: res.headersSent,
+      TotalAborted: this.stats.aborted
+    }, { event: 'aborted', req });
+  }
+
+  // Express error handler: app.use(logger.errorMiddleware()) after all routes
+  errorMiddleware(options = {}) {
+    const config = {
+      format: 'auto',            // 'auto' (from Accept) | 'json' | 'html'
+      exposeStack: process.env.NODE_ENV !== 'production',
+      render: null,              // (err, req, res, info) => void for a fully custom response
+      ...options
+    };
+
+    // Express recognises error handlers by their four parameters
+    return (err, req, res, next) => {
+      const status = getErrorStatus(err);
+      const info = {
+        status,
+        type: status >= 500 ? 'server' : 'client',
+        // Messages of server errors can leak internals unless the error says otherwise
+        message: status < 500 || err.expose ? err.message : 'Internal Server Error',
+        code: err.code,
+        requestId: req.id,
+        stack: config.exposeStack ? err.stack : undefined
+      };
+
+      this.error(err, req, { Status: status, ErrorType: info.type, Code: err.code });
+
+      if (res.headersSent) return next(err);
+      res.status(status);
+
+      if (config.render) return config.render(err, req, res, info);
+
+      const format = config.format === 'auto'
+        ? (req.accepts?.(['json', 'html']) === 'html' ? 'html' : 'json')
+        : config.format;
+
+      if (format === 'html') {
+        return res.type('html').send(renderErrorPage(info));
+      }
+      return res.json({ error: info });
+    };
+  }
+
+  // Logs uncaught exceptions and unhandled rejections, then exits as Node (15+) would.
+  // A listener turns off Node's own crash, so exitOnError: false is what keeps the process running.
+  handleProcessErrors(options = {}) {
+    const config = {
+      uncaughtException: true,
+      unhandledRejection: true,
+      exitOnError: true,
+      ...options
+    };
+    this.removeProcessErrorHandlers();
+
+    const exit = () => {
+      if (!config.exitOnError) return;
+      this.transports.forEach(transport => transport.flushSync?.());
+      process.exit(1);
+    };
+
+    this.processHandlers = {};
+    if (config.uncaughtException) {
+      this.processHandlers.uncaughtException = (error) => {
+        this.log('FATAL', this.symbols.error, `Uncaught exception: ${error?.message}`, {
+          Stack: error?.stack
+        }, { event: 'uncaughtException' });
+        exit();
+      };
+    }
+    if (config.unhandledRejection) {
+      this.processHandlers.unhandledRejection = (reason) => {
+        const error = reason instanceof Error ? reason : new Error(String(reason));
+        this.log(config.exitOnError ? 'FATAL' : 'ERROR', this.symbols.error, `Unhandled rejection: ${error.message}`, {
+          Stack: error.stack
+        }, { event: 'unhandledRejection' });
+        exit();
+      };
+    }
+
+    Object.entries(this.processHandlers).forEach(([event, handler]) => process.on(event, handler));
+  }
+
+  removeProcessErrorHandlers() {
+    Object.entries(this.processHandlers || {}).forEach(([event, handler]) => process.removeListener(event, handler));
+    this.processHandlers = null;
   }
 
   heartbeat() {
@@ -153,81 +498,332 @@ class ExpressLogger {
 
     const uptime = Math.round((Date.now() - this.stats.startTime) / 1000);
     const memory = process.memoryUsage();
+    const { overall, routes } = this.latency.snapshot();
+    // Busiest routes only, to keep the entry readable
+    const topRoutes = Object.entries(routes)
+      .sort(([, a], [, b]) => b.count - a.count)
+      .slice(0, this.config.heartbeatRoutes ?? 5)
+      .map(([route, stats]) => `${route} ${stats.count} req p50=${stats.p50}ms p90=${stats.p90}ms p99=${stats.p99}ms`);
 
     this.log('HEARTBEAT', this.symbols.heartbeat, 'System Status', {
-      Uptime: `${uptime}s`,
+      Uptime: new Measure(uptime, 's'),
       Requests: this.stats.requests,
       Errors: this.stats.errors,
       RateLimited: this.stats.rateLimited,
       Banned: this.stats.banned,
       ActiveConnections: this.stats.activeConnections,
-      HeapUsed: `${Math.round(memory.heapUsed / 1024 / 1024)}MB`,
-      RSS: `${Math.round(memory.rss / 1024 / 1024)}MB`,
+      OpenSockets: this.stats.openSockets,
+      HeapUsed: new Measure(Math.round(memory.heapUsed / 1024 / 1024), 'MB'),
+      RSS: new Measure(Math.round(memory.rss / 1024 / 1024), 'MB'),
       RequestsPerSecond: (this.stats.requests / uptime).toFixed(2),
+      Rate1m: overall.rates.m1,
+      Rate5m: overall.rates.m5,
+      Rate15m: overall.rates.m15,
+      P50: new Measure(overall.p50, 'ms'),
+      P90: new Measure(overall.p90, 'ms'),
+      P99: new Measure(overall.p99, 'ms'),
+      StatusCodes: overall.statusCodes,
+      Routes: topRoutes,
       CPU: `${process.cpuUsage().user / 1000000}s user, ${process.cpuUsage().system / 1000000}s system`
-    });
+    }, { event: 'heartbeat' });
   }
 
-  performance(label, duration) {
+  performance(label, duration, req) {
     if (!this.config.enabled.performance) return;
 
     this.log('PERFORMANCE', this.symbols.performance, `Performance: ${label}`, {
-      Duration: `${duration}ms`,
+      Label: label,
+      Duration: new Measure(duration, 'ms'),
       Timestamp: new Date().toISOString()
-    });
+    }, { event: 'performance', level: 'warn', req });
   }
 
   rateLimit(req, limit, data = {}) {
     if (!this.config.enabled.rateLimit) return;
     
-    this.stats.rateLimited++;
-    this.log('RATELIMIT', this.symbols.rateLimit, `Rate limit exceeded for ${req.ip}`, {
-      IP: req.ip,
+    // Shadow-mode limiters report what they would have blocked without blocking it
+    const shadow = data.Shadow === true;
+    if (!shadow) this.stats.rateLimited++;
+    // Limiters pass the IP they resolved with their own proxy settings
+    const ip = data.IP || getClientIp(req, this.config);
+    this.log('RATELIMIT', this.symbols.rateLimit, `${shadow ? '[shadow] ' : ''}Rate limit exceeded for ${ip}`, {
+      IP: ip,
       Path: req.path,
       Method: req.method,
       Limit: limit,
       TotalRateLimited: this.stats.rateLimited,
       Timestamp: new Date().toISOString(),
       ...data
-    });
+    }, { event: 'rateLimit', req });
   }
 
   banned(req, duration, data = {}) {
     if (!this.config.enabled.rateLimit) return;
     
-    this.stats.banned++;
-    this.log('BANNED', this.symbols.banned, `IP banned: ${req.ip}`, {
-      IP: req.ip,
+    const shadow = data.Shadow === true;
+    if (!shadow) this.stats.banned++;
+    const ip = data.IP || getClientIp(req, this.config);
+    this.log('BANNED', this.symbols.banned, `${shadow ? '[shadow] ' : ''}IP banned: ${ip}`, {
+      IP: ip,
       Path: req.path,
       Method: req.method,
-      Duration: `${duration}ms`,
+      Duration: new Measure(duration, 'ms'),
       TotalBanned: this.stats.banned,
       Timestamp: new Date().toISOString(),
       ...data
-    });
+    }, { event: 'banned', req });
   }
 
+  // Only one heartbeat runs per logger, and it never keeps the process alive on its own
   startHeartbeat() {
-    setInterval(() => this.heartbeat(), this.config.heartbeatInterval);
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.config.heartbeatInterval);
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  // Logs listen/close for an http(s) server, counts its open sockets and, optionally,
+  // closes it gracefully on shutdown signals. Returns the server for chaining.
+  attach(server, options = {}) {
+    const config = {
+      shutdownSignals: [],       // e.g. ['SIGTERM', 'SIGINT']
+      shutdownTimeout: 10000,    // ms to wait for open requests before exiting anyway
+      ...options
+    };
+
+    const sockets = new Set();
+    const logStart = () => {
+      const address = server.address();
+      this.serverStart(typeof address === 'string' ? address : address?.port);
+    };
+    const handlers = {
+      connection: (socket) => {
+        sockets.add(socket);
+        this.stats.openSockets = sockets.size;
+        socket.once('close', () => {
+          sockets.delete(socket);
+          this.stats.openSockets = sockets.size;
+        });
+      },
+      close: () => {
+        this.serverStop();
+        this.detach(server);
+      }
+    };
+    // A server that is already listening is logged right away
+    if (server.listening) {
+      logStart();
+    } else {
+      handlers.listening = logStart;
+    }
+    Object.entries(handlers).forEach(([event, handler]) => server.on(event, handler));
+
+    const signals = {};
+    config.shutdownSignals.forEach((signal) => {
+      signals[signal] = () => this.shutdown(server, signal, config.shutdownTimeout);
+      process.once(signal, signals[signal]);
+    });
+
+    this.servers.set(server, { handlers, signals, sockets });
+    return server;
+  }
+
+  detach(server) {
+    const attached = this.servers.get(server);
+    if (!attached) return;
+
+    Object.entries(attached.handlers).forEach(([event, handler]) => server.removeListener(event, handler));
+    Object.entries(attached.signals).forEach(([signal, handler]) => process.removeListener(signal, handler));
+    this.servers.delete(server);
+  }
+
+  // Stops accepting connections, lets open requests finish, then flushes the logs and exits
+  async shutdown(server, signal, timeout) {
+    this.log('SERVER', this.symbols.server, `Received ${signal}, shutting down`, {
+      OpenSockets: this.stats.openSockets,
+      ActiveConnections: this.stats.activeConnections
+    }, { event: 'shutdown', level: 'warn' });
+
+    const closed = new Promise(resolve => server.close(resolve));
+    // Keep-alive sockets become idle as their last response finishes; close them as they do
+    const idle = setInterval(() => server.closeIdleConnections?.(), 100);
+    const timer = setTimeout(() => {
+      this.servers.get(server)?.sockets.forEach(socket => socket.destroy());
+    }, timeout);
+    idle.unref();
+    timer.unref();
+
+    await closed;
+    clearInterval(idle);
+    clearTimeout(timer);
+    await this.close();
+    process.exit(0);
+  }
+
+  serverStop() {
+    if (!this.config.enabled.server) return;
+
+    const { overall } = this.latency.snapshot();
+    this.log('SERVER', this.symbols.server, 'Server stopped', {
+      Uptime: new Measure(Math.round((Date.now() - this.stats.startTime) / 1000), 's'),
+      Requests: this.stats.requests,
+      Errors: this.stats.errors,
+      Aborted: this.stats.aborted,
+      RateLimited: this.stats.rateLimited,
+      Banned: this.stats.banned,
+      P50: new Measure(overall.p50, 'ms'),
+      P90: new Measure(overall.p90, 'ms'),
+      P99: new Measure(overall.p99, 'ms'),
+      StatusCodes: overall.statusCodes
+    }, { event: 'serverStop' });
+  }
+
+  // Stops timers and detaches from servers; the logger can still be used to log
+  stop() {
+    this.stopHeartbeat();
+    [...this.servers.keys()].forEach(server => this.detach(server));
   }
 
   middleware() {
     return (req, res, next) => {
-      const startTime = Date.now();
-      this.request(req);
-
-      res.on('finish', () => {
-        const duration = Date.now() - startTime;
-        this.response(req, res, duration);
-        
-        // Log performance if response took too long
-        if (duration > 1000) {
-          this.performance('Slow Response', duration);
-        }
+      const context = this.assignRequestId(req, res);
+      if (!context) return this.handleRequest(req, res, next);
+      requestContext.run(context, () => this.handleRequest(req, res, next));
+    };
+  }
+
+  // Accepts an inbound X-Request-Id / traceparent or starts a new trace
+  assignRequestId(req, res) {
+    const options = this.config.requestId;
+    if (!options.enabled) return null;
+
+    const trace = requestContext.createTraceContext(req.headers?.traceparent);
+    const inbound = options.trustHeader ? req.headers?.[options.header.toLowerCase()] : null;
+    const requestId = requestContext.isValidRequestId(inbound)
+      ? inbound
+      : (options.generate ? String(options.generate(req, trace)) : trace.traceId);
+
+    req.id = requestId;
+    req.traceContext = trace;
+    if (options.setHeader && !res.headersSent) {
+      res.setHeader(options.header, requestId);
+    }
+
+    return { requestId, ...trace };
+  }
+
+  getRequestId() {
+    return requestContext.getRequestId();
+  }
+
+  handleRequest(req, res, next) {
+    if (!this.shouldLogPath(req)) return next();
+
+    const startTime = Date.now();
+    this.trackConnection(req, res, startTime);
+    const sampled = this.config.sampleRate >= 1 || Math.random() < this.config.sampleRate;
+    this.request(req, { log: sampled });
+
+    const capture = this.config.captureBodies.enabled
+      ? captureResponse(res, {
+        maxBytes: this.config.captureBodies.maxBytes,
+        shouldCapture: () => this.config.captureBodies.response && this.shouldCaptureBodies(req, res)
+      })
+      : null;
+
+    res.on('finish', () => {
+      const duration = Date.now() - startTime;
+      const route = this.getRoutePattern(req);
+      const slow = duration > this.getSlowThreshold(req, route);
+      this.latency.record(`${req.method} ${route}`, res.statusCode, duration, slow);
+      this.response(req, res, duration, {
+        log: sampled || slow || res.statusCode >= 400,
+        bodies: capture && this.shouldCaptureBodies(req, res) ? this.getCapturedBodies(req, res, capture) : {}
       });
+      
+      // Log performance if response took too long
+      if (slow) {
+        this.performance('Slow Response', duration, req);
+      }
+    });
 
-      next();
+    next();
+  }
+
+  // The matched Express route (/users/:id) rather than the raw URL, so stats group by endpoint
+  getRoutePattern(req) {
+    if (!req.route) return '<unmatched>';
+    const path = Array.isArray(req.route.path) ? req.route.path.join('|') : String(req.route.path);
+    return `${req.baseUrl || ''}${path}`;
+  }
+
+  getSlowThreshold(req, route = this.getRoutePattern(req)) {
+    const thresholds = this.config.routeSlowThresholds || {};
+    return thresholds[`${req.method} ${route}`] ?? thresholds[route] ?? this.config.slowThreshold;
+  }
+
+  // Counted once per request, whether it finishes or the connection closes first
+  trackConnection(req, res, startTime) {
+    this.stats.activeConnections++;
+
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      this.stats.activeConnections--;
+      res.removeListener('finish', finish);
+      res.removeListener('close', close);
     };
+    const close = () => {
+      const aborted = !res.writableFinished;
+      finish();
+      if (aborted) this.aborted(req, res, Date.now() - startTime);
+    };
+
+    res.on('finish', finish);
+    res.on('close', close);
+  }
+
+  shouldCaptureBodies(req, res) {
+    const options = this.config.captureBodies;
+    const path = req.path || (req.url || '').split('?')[0];
+    return (options.onError && res.statusCode >= 400) || this.pathFilters.capture.some(test => test(path, req));
+  }
+
+  getCapturedBodies(req, res, capture) {
+    const options = this.config.captureBodies;
+    const bodies = {};
+
+    // req.body is whatever the body parsers produced by the time the response finished
+    const hasBody = Number(req.headers?.['content-length']) > 0 || req.headers?.['transfer-encoding'];
+    if (options.request && hasBody && req.body !== undefined
+      && matchesContentType(req.headers['content-type'], options.contentTypes)) {
+      bodies.RequestBody = formatBody(req.body, {
+        contentType: req.headers['content-type'],
+        maxBytes: options.maxBytes,
+        redactor: this.redactor
+      });
+    }
+
+    const contentType = res.get('content-type');
+    if (options.response && capture.active && capture.total > 0) {
+      if (res.get('content-encoding') && res.get('content-encoding') !== 'identity') {
+        bodies.ResponseBody = `[${res.get('content-encoding')} encoded, ${capture.total} bytes]`;
+      } else if (matchesContentType(contentType, options.contentTypes)) {
+        bodies.ResponseBody = formatBody(Buffer.concat(capture.chunks), {
+          contentType,
+          maxBytes: options.maxBytes,
+          total: capture.total,
+          redactor: this.redactor
+        });
+      }
+    }
+
+    return bodies;
   }
 
   getStats() {
@@ -235,9 +831,52 @@ class ExpressLogger {
       ...this.stats,
       uptime: Date.now() - this.stats.startTime,
       memory: process.memoryUsage(),
+      latency: this.latency.snapshot(),
       timestamp: new Date().toISOString()
     };
   }
 }
 
+// Plain objects and arrays print as JSON in pretty output instead of [object Object]
+function formatValue(value) {
+  if (Array.isArray(value) || (value && Object.getPrototypeOf(value) === Object.prototype)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+// Strings are regular expressions, as with RateLimiter routeLimits
+function isTemplateFormat(format) {
+  return Boolean(PRESETS[format] || format?.includes(':'));
+}
+
+function compilePatterns(patterns) {
+  return [].concat(patterns).map((pattern) => {
+    if (typeof pattern === 'function') return (path, req) => pattern(req);
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+    return path => regex.test(path);
+  });
+}
+
+// Status from http-errors style errors (err.status / err.statusCode), 500 otherwise
+function getErrorStatus(err) {
+  const status = Number(err?.status || err?.statusCode);
+  return Number.isInteger(status) && status >= 400 && status < 600 ? status : 500;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function renderErrorPage({ status, message, requestId, stack }) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${status} ${escapeHtml(message)}</title></head>
+<body>
+<h1>${status}</h1>
+<p>${escapeHtml(message)}</p>${requestId ? `\n<p><small>Request ID: ${escapeHtml(requestId)}</small></p>` : ''}${stack ? `\n<pre>${escapeHtml(stack)}</pre>` : ''}
+</body>
+</html>`;
+}
+
 module.exports = ExpressLogger;
\ No newline at end of file
@@ -0,0 +1,78 @@
+const { IpList, isIp, normalizeIp } = require('./ipUtils');
+
+const compiledLists = new WeakMap();
+
+function trustedList(trustedProxies) {
+  if (!compiledLists.has(trustedProxies)) {
+    compiledLists.set(trustedProxies, new IpList(trustedProxies));
+  }
+  return compiledLists.get(trustedProxies);
+}
+
+// Strips quotes, brackets and ports: "[2001:db8::1]:4711" -> 2001:db8::1, 1.2.3.4:80 -> 1.2.3.4
+function cleanAddress(value) {
+  let address = value.trim().replace(/^"|"$/g, '');
+
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(address);
+  if (bracketed) {
+    address = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(address)) {
+    address = address.split(':')[0];
+  }
+
+  return normalizeIp(address);
+}
+
+// RFC 7239: Forwarded: for=192.0.2.60;proto=http, for="[2001:db8:cafe::17]:4711"
+function parseForwarded(header) {
+  return header.split(',')
+    .map((element) => {
+      const pair = element.split(';')
+        .map(part => part.trim().split('='))
+        .find(([name]) => name?.toLowerCase() === 'for');
+      return pair?.[1] ? cleanAddress(pair[1]) : 'unknown';
+    });
+}
+
+function headerValue(req, name) {
+  const value = req.headers?.[name];
+  return Array.isArray(value) ? value.join(',') : value;
+}
+
+// Addresses the request passed through, client first. Only the configured header is read:
+// proxies append to their own header and pass any other one from the client through untouched.
+function getForwardedChain(req, proxyHeader = 'x-forwarded-for') {
+  const name = proxyHeader.toLowerCase();
+  const value = headerValue(req, name);
+  if (!value) return [];
+
+  if (name === 'forwarded') return parseForwarded(value);
+  return value.split(',').map(cleanAddress).filter(Boolean);
+}
+
+function getClientIp(req, options = {}) {
+  const socketIp = normalizeIp(req.socket?.remoteAddress || req.connection?.remoteAddress || req.ip);
+  if (options.trustProxy === false) return socketIp;
+
+  // Without a proxy setup of our own, defer to Express (its `trust proxy` setting, off by default)
+  const trustedProxies = options.trustedProxies || [];
+  if (!(options.proxyCount > 0) && !trustedProxies.length) {
+    return req.ip ? normalizeIp(req.ip) : socketIp;
+  }
+
+  const chain = [...getForwardedChain(req, options.proxyHeader), socketIp];
+
+  // A fixed number of proxies in front of us: the client is that many hops from the end
+  if (options.proxyCount > 0) {
+    return chain[Math.max(0, chain.length - 1 - options.proxyCount)];
+  }
+
+  // Otherwise walk back from our peer while the hop is a trusted proxy
+  const trusted = trustedList(trustedProxies);
+  for (let i = chain.length - 1; i > 0; i--) {
+    if (!isIp(chain[i]) || !trusted.has(chain[i])) return chain[i];
+  }
+  return chain[0];
+}
+
+module.exports = getClientIp;
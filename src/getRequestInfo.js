@@ -1,11 +1,22 @@
 const { defaultOptions } = require('./types');
+const getClientIp = require('./getClientIp');
+const { createRedactor } = require('./redaction');
+
+const redactors = new WeakMap();
+
+function getRedactor(options) {
+  if (!redactors.has(options)) {
+    redactors.set(options, createRedactor(options.redact));
+  }
+  return redactors.get(options);
+}
 
 function getRequestInfo(req, options = defaultOptions) {
   const info = {
     method: req.method,
     subdomains: req.subdomains,
     hostname: req.hostname,
-    ip: req.ip,
+    ip: getClientIp(req, options),
     originalUrl: req.originalUrl,
     params: req.params,
     path: req.path,
@@ -17,6 +28,14 @@ function getRequestInfo(req, options = defaultOptions) {
     baseUrl: req.baseUrl
   };
 
+  const redactor = getRedactor(options);
+  if (redactor) {
+    info.originalUrl = redactor.string(info.originalUrl);
+    info.params = redactor.value(info.params);
+    info.query = redactor.value(info.query);
+    info.headers = redactor.headersObject(info.headers);
+  }
+
   if (options.include) {
     return Object.fromEntries(
       Object.entries(info).filter(([key]) => 
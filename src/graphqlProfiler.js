@@ -1,3 +1,5 @@
+const { Measure } = require('./logFormats');
+
 class GraphQLProfiler {
   constructor(config = {}) {
     this.config = {
@@ -85,7 +87,7 @@ class GraphQLProfiler {
  
       const startTime = process.hrtime();
       const startMemory = process.memoryUsage();
-      const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+      const requestId = req.id || Date.now().toString(36) + Math.random().toString(36).substr(2);
  
       try {
         const queryInfo = {
@@ -139,11 +141,11 @@ class GraphQLProfiler {
             if (logger?.config.enabled.graphql) {
               logger.log('GRAPHQL', '🔍', 'Slow GraphQL Query', {
                 QueryID: requestId,
-                Duration: `${duration}ms`,
+                Duration: new Measure(duration, 'ms'),
                 Complexity: queryInfo.complexity,
-                MemoryUsed: `${Math.round(memoryDiff.heapUsed / 1024 / 1024)}MB`,
+                MemoryUsed: new Measure(Math.round(memoryDiff.heapUsed / 1024 / 1024), 'MB'),
                 Query: queryInfo.query.substring(0, 200) + (queryInfo.query.length > 200 ? '...' : '')
-              });
+              }, { level: 'warn', req });
             }
             
             if (this.config.onSlowQuery) {
@@ -164,7 +166,7 @@ class GraphQLProfiler {
           logger.log('GRAPHQL', '❌', 'GraphQL Error', {
             Error: error.message,
             Query: req.body.query
-          });
+          }, { level: 'error', req });
         }
         
         return res.status(400).json({
@@ -1,9 +1,25 @@
+const { MemoryStore, FileStore, RedisStore } = require('./stores');
+const { StreamTransport, FileTransport, SyslogTransport } = require('./transports');
+const { MemoryAdapter, ClusterAdapter, RedisAdapter } = require('./adapters');
+
 module.exports = {
   getRequestInfo: require('./getRequestInfo'),
+  getClientIp: require('./getClientIp'),
+  requestContext: require('./requestContext'),
+  Redactor: require('./redaction').Redactor,
   detectDevTools: require('./detectDevTools'),
   expressLogger: require('./expressLogger'),
   RateLimiter: require('./rateLimiter'),
+  MemoryStore,
+  FileStore,
+  RedisStore,
+  StreamTransport,
+  FileTransport,
+  SyslogTransport,
   WebSocketSupport: require('./websocketSupport'),
+  MemoryAdapter,
+  ClusterAdapter,
+  RedisAdapter,
   GraphQLProfiler: require('./graphqlProfiler'),
   MetricsDashboard: require('./metricsDashboard')
-};
\ No newline at end of file
+};
@@ -0,0 +1,211 @@
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+function parseIPv4(ip) {
+  const match = IPV4_PATTERN.exec(ip);
+  if (!match) return null;
+
+  const octets = match.slice(1).map(Number);
+  if (octets.some(octet => octet > 255)) return null;
+
+  return octets.reduce((value, octet) => (value << 8n) | BigInt(octet), 0n);
+}
+
+function parseIPv6(ip) {
+  if (!ip.includes(':') || (ip.match(/::/g) || []).length > 1) return null;
+
+  // An embedded IPv4 tail (::ffff:1.2.3.4) counts as the last two groups
+  let groups = ip.split(':');
+  const tail = groups[groups.length - 1];
+  if (tail.includes('.')) {
+    const v4 = parseIPv4(tail);
+    if (v4 === null) return null;
+    groups.splice(-1, 1, ((v4 >> 16n) & 0xffffn).toString(16), (v4 & 0xffffn).toString(16));
+  }
+
+  const compressed = groups.indexOf('');
+  if (compressed !== -1) {
+    const head = groups.slice(0, compressed).filter(Boolean);
+    const rest = groups.slice(compressed + 1).filter(Boolean);
+    if (head.length + rest.length > 7) return null;
+    groups = [...head, ...new Array(8 - head.length - rest.length).fill('0'), ...rest];
+  }
+
+  if (groups.length !== 8 || groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) return null;
+
+  return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+function formatIPv4(value) {
+  return [24n, 16n, 8n, 0n].map(shift => Number((value >> shift) & 0xffn)).join('.');
+}
+
+function formatIPv6(value) {
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn).toString(16));
+  }
+
+  // Collapse the longest run of zero groups
+  let best = { start: -1, length: 0 };
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (groups[i + length] === '0') length++;
+    if (length > best.length && length > 1) best = { start: i, length };
+  }
+
+  if (best.start === -1) return groups.join(':');
+  const head = groups.slice(0, best.start).join(':');
+  const tail = groups.slice(best.start + best.length).join(':');
+  return `${head}::${tail}`;
+}
+
+// Returns { version, value } with IPv4-mapped IPv6 addresses unwrapped, or null
+function parseIp(ip) {
+  if (typeof ip !== 'string') return null;
+
+  const address = ip.trim().replace(/^\[|\]$/g, '').split('%')[0];
+  const v4 = parseIPv4(address);
+  if (v4 !== null) return { version: 4, value: v4 };
+
+  const v6 = parseIPv6(address);
+  if (v6 === null) return null;
+
+  if (v6 >> 32n === 0xffffn) {
+    return { version: 4, value: v6 & 0xffffffffn };
+  }
+  return { version: 6, value: v6 };
+}
+
+function isIp(ip) {
+  return parseIp(ip) !== null;
+}
+
+function normalizeIp(ip) {
+  const parsed = parseIp(ip);
+  if (!parsed) return ip;
+  return parsed.version === 4 ? formatIPv4(parsed.value) : formatIPv6(parsed.value);
+}
+
+function mask(value, bits, version) {
+  const size = version === 4 ? 32n : 128n;
+  const hostBits = size - BigInt(bits);
+  return (value >> hostBits) << hostBits;
+}
+
+function parseCidr(cidr) {
+  const [address, prefix] = cidr.split('/');
+  const parsed = parseIp(address);
+  if (!parsed) return null;
+
+  // Prefixes are written against the address as given, so ::ffff:10.0.0.0/104 is 10.0.0.0/8
+  const written = address.includes(':') ? 128 : 32;
+  let bits = prefix === undefined ? written : Number(prefix);
+  if (!Number.isInteger(bits) || bits < 0 || bits > written) return null;
+
+  if (parsed.version === 4 && written === 128) {
+    if (bits < 96) return null;
+    bits -= 96;
+  }
+
+  return { version: parsed.version, bits, network: mask(parsed.value, bits, parsed.version) };
+}
+
+function cidrContains(cidr, ip) {
+  const range = typeof cidr === 'string' ? parseCidr(cidr) : cidr;
+  const parsed = typeof ip === 'string' ? parseIp(ip) : ip;
+  if (!range || !parsed || range.version !== parsed.version) return false;
+
+  return mask(parsed.value, range.bits, parsed.version) === range.network;
+}
+
+// Groups an address into its network, e.g. an IPv6 client into its /64
+function ipSubnet(ip, bits) {
+  const parsed = parseIp(ip);
+  if (!parsed) return ip;
+
+  const network = mask(parsed.value, bits, parsed.version);
+  const address = parsed.version === 4 ? formatIPv4(network) : formatIPv6(network);
+  return `${address}/${bits}`;
+}
+
+function wildcardToRegExp(pattern) {
+  let segments = pattern.toLowerCase().split(/([.:])/);
+  // 10.0.* is shorthand for 10.0.*.*
+  if (pattern.includes('.') && !pattern.includes(':')) {
+    while (segments.filter(segment => segment !== '.').length < 4 && segments[segments.length - 1] === '*') {
+      segments.push('.', '*');
+    }
+  }
+
+  const source = segments
+    .map(segment => segment === '*' ? '[0-9a-f]+' : segment.replace(/[.]/g, '\\.'))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+// IP list accepting exact addresses, CIDR ranges, wildcards and plain keys
+class IpList {
+  constructor(entries = []) {
+    this.rules = [];
+    entries.forEach(entry => this.add(entry));
+  }
+
+  compile(entry) {
+    if (entry.includes('*')) {
+      return { entry, type: 'wildcard', pattern: wildcardToRegExp(entry) };
+    }
+
+    const range = parseCidr(entry);
+    if (range) return { entry, type: 'cidr', range };
+
+    return { entry, type: 'key' };
+  }
+
+  add(entry) {
+    if (this.rules.some(rule => rule.entry === entry)) return false;
+    this.rules.push(this.compile(String(entry)));
+    return true;
+  }
+
+  remove(entry) {
+    const length = this.rules.length;
+    this.rules = this.rules.filter(rule => rule.entry !== entry);
+    return this.rules.length !== length;
+  }
+
+  has(value) {
+    if (value === undefined || value === null) return false;
+
+    const parsed = parseIp(String(value));
+    const normalized = parsed ? normalizeIp(String(value)) : String(value);
+
+    return this.rules.some((rule) => {
+      switch (rule.type) {
+        case 'cidr':
+          return parsed && cidrContains(rule.range, parsed);
+        case 'wildcard':
+          return rule.pattern.test(normalized);
+        default:
+          return rule.entry === String(value);
+      }
+    });
+  }
+
+  entries() {
+    return this.rules.map(rule => rule.entry);
+  }
+
+  get size() {
+    return this.rules.length;
+  }
+}
+
+module.exports = {
+  parseIp,
+  isIp,
+  normalizeIp,
+  parseCidr,
+  cidrContains,
+  ipSubnet,
+  IpList
+};
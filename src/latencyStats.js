@@ -0,0 +1,179 @@
+// Log-scale histogram: four buckets per doubling (~19% wide) from 0.1ms up to ~23 minutes,
+// so percentiles are within a bucket of the true value at a fixed memory cost
+const BUCKETS_PER_DOUBLING = 4;
+const MIN_MS = 0.1;
+const BUCKET_COUNT = 4 * 24;
+
+class Histogram {
+  constructor() {
+    this.counts = new Array(BUCKET_COUNT).fill(0);
+    this.count = 0;
+    this.sum = 0;
+    this.min = Infinity;
+    this.max = 0;
+  }
+
+  bucketOf(value) {
+    if (value <= MIN_MS) return 0;
+    const index = Math.ceil(Math.log2(value / MIN_MS) * BUCKETS_PER_DOUBLING);
+    return Math.min(index, BUCKET_COUNT - 1);
+  }
+
+  upperBound(index) {
+    return MIN_MS * 2 ** (index / BUCKETS_PER_DOUBLING);
+  }
+
+  record(value) {
+    this.counts[this.bucketOf(value)]++;
+    this.count++;
+    this.sum += value;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+  }
+
+  // Upper bound of the bucket holding the p-th percentile, clamped to what was actually seen
+  percentile(p) {
+    if (!this.count) return 0;
+
+    const rank = Math.ceil(this.count * p / 100);
+    let seen = 0;
+    for (let i = 0; i < BUCKET_COUNT; i++) {
+      seen += this.counts[i];
+      if (seen >= rank) {
+        return Math.min(this.max, Math.max(this.min, this.upperBound(i)));
+      }
+    }
+    return this.max;
+  }
+
+  snapshot() {
+    return {
+      count: this.count,
+      min: this.count ? round(this.min) : 0,
+      max: round(this.max),
+      mean: this.count ? round(this.sum / this.count) : 0,
+      p50: round(this.percentile(50)),
+      p90: round(this.percentile(90)),
+      p99: round(this.percentile(99))
+    };
+  }
+}
+
+// Exponentially weighted 1/5/15 minute rates (per second), as in Unix load averages.
+// Ticks are applied lazily when the meter is used, so no timer is needed.
+const TICK_MS = 5000;
+const WINDOWS = { m1: 1, m5: 5, m15: 15 };
+
+class RateMeter {
+  constructor(now = Date.now()) {
+    this.pending = 0;
+    this.lastTick = now;
+    this.rates = { m1: null, m5: null, m15: null };
+  }
+
+  tick(now = Date.now()) {
+    const ticks = Math.floor((now - this.lastTick) / TICK_MS);
+    for (let i = 0; i < ticks; i++) {
+      const instant = (i === 0 ? this.pending : 0) / (TICK_MS / 1000);
+      for (const [name, minutes] of Object.entries(WINDOWS)) {
+        const alpha = 1 - Math.exp(-TICK_MS / 60000 / minutes);
+        this.rates[name] = this.rates[name] === null ? instant : this.rates[name] + alpha * (instant - this.rates[name]);
+      }
+      // Long idle gaps decay to zero quickly enough without looping over every tick
+      if (i > 15 * 60000 / TICK_MS) {
+        this.rates = { m1: 0, m5: 0, m15: 0 };
+        break;
+      }
+    }
+    if (ticks > 0) {
+      this.pending = 0;
+      this.lastTick += ticks * TICK_MS;
+    }
+  }
+
+  mark(now = Date.now()) {
+    this.tick(now);
+    this.pending++;
+  }
+
+  snapshot(now = Date.now()) {
+    this.tick(now);
+    // Before the first tick there is no average yet, only what was seen so far
+    const current = this.pending / Math.max(1, (now - this.lastTick) / 1000);
+    return Object.fromEntries(Object.keys(WINDOWS).map(name => [name, round(this.rates[name] ?? current)]));
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function statusClass(status) {
+  return `${Math.floor(status / 100)}xx`;
+}
+
+class RouteStats {
+  constructor() {
+    this.histogram = new Histogram();
+    this.rate = new RateMeter();
+    this.statusCodes = {};
+    this.slow = 0;
+  }
+
+  record(status, duration, slow) {
+    this.histogram.record(duration);
+    this.rate.mark();
+    const key = statusClass(status);
+    this.statusCodes[key] = (this.statusCodes[key] || 0) + 1;
+    if (slow) this.slow++;
+  }
+
+  snapshot() {
+    return {
+      ...this.histogram.snapshot(),
+      statusCodes: { ...this.statusCodes },
+      slow: this.slow,
+      rates: this.rate.snapshot()
+    };
+  }
+}
+
+// Per-route latency, status classes and rates, keyed by "GET /users/:id"
+class LatencyStats {
+  constructor({ maxRoutes = 500 } = {}) {
+    this.maxRoutes = maxRoutes;
+    this.overall = new RouteStats();
+    this.routes = new Map();
+  }
+
+  record(route, status, duration, slow = false) {
+    this.overall.record(status, duration, slow);
+
+    let stats = this.routes.get(route);
+    if (!stats) {
+      // Unbounded route keys (e.g. regex routes) shouldn't grow memory forever
+      if (this.routes.size >= this.maxRoutes) route = 'other';
+      stats = this.routes.get(route) || new RouteStats();
+      this.routes.set(route, stats);
+    }
+    stats.record(status, duration, slow);
+  }
+
+  snapshot() {
+    return {
+      overall: this.overall.snapshot(),
+      routes: Object.fromEntries([...this.routes].map(([route, stats]) => [route, stats.snapshot()]))
+    };
+  }
+
+  reset() {
+    this.overall = new RouteStats();
+    this.routes.clear();
+  }
+}
+
+module.exports = {
+  Histogram,
+  RateMeter,
+  LatencyStats
+};
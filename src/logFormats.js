@@ -0,0 +1,91 @@
+// Severity order shared by the logger threshold and per-transport minimum levels
+const LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60
+};
+
+// A number with a unit: prints as "12ms" in pretty output and as a plain number
+// under a unit-suffixed field name (durationMs: 12) in machine formats
+class Measure {
+  constructor(value, unit) {
+    this.value = value;
+    this.unit = unit;
+  }
+
+  // Symbols stick to the number (12ms, 8MB), words don't (512 bytes)
+  toString() {
+    if (!Number.isFinite(this.value)) return String(this.value);
+    return `${this.value}${this.unit.length > 2 ? ' ' : ''}${this.unit}`;
+  }
+
+  // Infinity (a permanent ban, say) has no JSON form
+  toJSON() {
+    return Number.isFinite(this.value) ? this.value : null;
+  }
+}
+
+const UNIT_SUFFIXES = {
+  ms: 'Ms',
+  s: 'Sec',
+  MB: 'Mb',
+  bytes: 'Bytes'
+};
+
+// UserAgent -> userAgent, IP -> ip, Duration (ms) -> durationMs
+function fieldName(key, value) {
+  const name = key.replace(/^[A-Z]+(?=[A-Z][a-z]|$)|^[A-Z]/, match => match.toLowerCase());
+  return value instanceof Measure ? `${name}${UNIT_SUFFIXES[value.unit] || ''}` : name;
+}
+
+function toFields(data = {}) {
+  return Object.fromEntries(
+    Object.entries(data)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [fieldName(key, value), value instanceof Measure ? value.toJSON() : value])
+  );
+}
+
+// One object per event; the top-level fields come first and can't be overridden by event data
+function toRecord(entry) {
+  const base = {
+    timestamp: entry.timestamp,
+    level: entry.level,
+    event: entry.event,
+    message: entry.message
+  };
+  if (entry.requestId) base.requestId = entry.requestId;
+  return Object.assign({ ...base, ...toFields(entry.data) }, base);
+}
+
+function formatJson(entry) {
+  return JSON.stringify(toRecord(entry), (key, value) => {
+    if (value instanceof Error) return { message: value.message, stack: value.stack };
+    return value;
+  });
+}
+
+function logfmtValue(value) {
+  if (value === null) return 'null';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /^[^\s"=\\]+$/.test(text) ? text : JSON.stringify(text);
+}
+
+function formatLogfmt(entry) {
+  return Object.entries(toRecord(entry))
+    .map(([key, value]) => `${key}=${logfmtValue(value)}`)
+    .join(' ');
+}
+
+module.exports = {
+  LEVELS,
+  Measure,
+  fieldName,
+  toFields,
+  toRecord,
+  formatJson,
+  formatLogfmt
+};
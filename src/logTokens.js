@@ -0,0 +1,108 @@
+const getClientIp = require('./getClientIp');
+
+// Morgan-compatible presets
+const PRESETS = {
+  combined: ':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent"',
+  common: ':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length]',
+  short: ':remote-addr :remote-user :method :url HTTP/:http-version :status :res[content-length] - :response-time ms',
+  tiny: ':method :url :status :res[content-length] - :response-time ms'
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// 25/Nov/2024:19:38:20 +0000
+function clfDate(date) {
+  return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}`
+    + `:${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+function header(headers, name) {
+  const value = headers?.[name.toLowerCase()];
+  return Array.isArray(value) ? value.join(', ') : value;
+}
+
+// Each token is (context, arg) => value, where context is { req, res, entry, logger }.
+// undefined, null, '' and tokens that throw print as '-'.
+const TOKENS = {
+  method: ({ req }) => req?.method,
+  url: ({ req, logger }) => logger.redactor
+    ? logger.redactor.string(req?.originalUrl || req?.url)
+    : req?.originalUrl || req?.url,
+  status: ({ res }) => (res?.headersSent ? res.statusCode : undefined),
+  'response-time': ({ entry }, digits = '3') => {
+    const duration = entry?.data?.Duration;
+    const value = typeof duration === 'object' ? duration?.value : duration;
+    return Number.isFinite(value) ? value.toFixed(Number(digits)) : undefined;
+  },
+  date: ({ entry }, format = 'web') => {
+    const date = new Date(entry?.timestamp || Date.now());
+    if (format === 'clf') return clfDate(date);
+    if (format === 'iso') return date.toISOString();
+    return date.toUTCString();
+  },
+  'http-version': ({ req }) => req && `${req.httpVersionMajor}.${req.httpVersionMinor}`,
+  'remote-addr': ({ req, logger }) => req && getClientIp(req, logger.config),
+  'remote-user': ({ req }) => {
+    const [scheme, credentials] = (header(req?.headers, 'authorization') || '').split(' ');
+    if (scheme?.toLowerCase() !== 'basic' || !credentials) return undefined;
+    return Buffer.from(credentials, 'base64').toString().split(':')[0];
+  },
+  referrer: ({ req }) => header(req?.headers, 'referer') || header(req?.headers, 'referrer'),
+  'user-agent': ({ req }) => header(req?.headers, 'user-agent'),
+  'request-id': ({ req, entry }) => entry?.requestId || req?.id,
+  req: ({ req, logger }, name) => {
+    const value = header(req?.headers, name || '');
+    return logger.redactor?.headers.has(normalizeHeader(name)) && value ? logger.redactor.censor : value;
+  },
+  res: ({ res }, name) => {
+    const value = res?.getHeader?.(name || '');
+    return Array.isArray(value) ? value.join(', ') : value;
+  },
+  level: ({ entry }) => entry?.level,
+  event: ({ entry }) => entry?.event,
+  message: ({ entry }) => entry?.message
+};
+
+function normalizeHeader(name) {
+  return String(name || '').toLowerCase().replace(/[-_]/g, '');
+}
+
+// Turns ':method :url :req[x-forwarded-for]' into a function of the context.
+// Unknown tokens are left in the output as written so typos are easy to spot.
+function compileFormat(template, tokens) {
+  const parts = [];
+  const pattern = /:([a-z][\w-]*)(?:\[([^\]]*)\])?/gi;
+  let last = 0;
+
+  for (const match of template.matchAll(pattern)) {
+    parts.push(template.slice(last, match.index));
+    const [text, name, arg] = match;
+    parts.push({ name, arg, text });
+    last = match.index + text.length;
+  }
+  parts.push(template.slice(last));
+
+  return context => parts.map((part) => {
+    if (typeof part === 'string') return part;
+
+    const token = tokens[part.name];
+    if (!token) return part.text;
+    // Templates render from the response 'finish' listener, so a failing token prints '-' like morgan
+    try {
+      const value = token(context, part.arg);
+      return value === undefined || value === null || value === '' ? '-' : String(value);
+    } catch {
+      return '-';
+    }
+  }).join('');
+}
+
+module.exports = {
+  PRESETS,
+  TOKENS,
+  compileFormat
+};
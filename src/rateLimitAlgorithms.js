@@ -0,0 +1,260 @@
+// Each algorithm turns a stored record into { data, limited, limit, count, remaining, resetTime, retryAfter, delay }.
+// Counts are in cost units: a request uses `cost` units of quota and `adjust` can refund
+// (negative amount) or charge extra for it afterwards. Records are plain JSON so they can live in any store.
+const sliding = {
+  ttl: ({ windowMs }) => windowMs,
+
+  // Each entry in `requests` is a [timestamp, cost] pair
+  total(requests) {
+    return requests.reduce((sum, [, cost]) => sum + cost, 0);
+  },
+
+  consume(data = { count: 0, requests: [] }, now, { limit, windowMs, cost }) {
+    // Remove requests outside the current window
+    data.requests = data.requests.filter(([time]) => now - time < windowMs);
+    data.requests.push([now, cost]);
+    data.count = this.total(data.requests);
+
+    const limited = data.count > limit;
+    return {
+      data,
+      limited,
+      ...this.inspect(data, now, { limit, windowMs }),
+      retryAfter: limited ? this.retryAfter(data.requests, now, { limit, windowMs }) : 0
+    };
+  },
+
+  // Wait until enough of the oldest requests leave the window
+  retryAfter(requests, now, { limit, windowMs }) {
+    let excess = this.total(requests) - limit;
+    for (const [time, cost] of requests) {
+      excess -= cost;
+      if (excess < 0) return time + windowMs - now;
+    }
+    return windowMs;
+  },
+
+  inspect(data, now, { limit, windowMs }) {
+    const requests = (data?.requests || []).filter(([time]) => now - time < windowMs);
+    const count = this.total(requests);
+    return {
+      limit,
+      count,
+      remaining: Math.max(0, limit - count),
+      resetTime: requests.length ? requests[0][0] + windowMs : now
+    };
+  },
+
+  adjust(data, now, options, amount, timestamp) {
+    const entry = data.requests.slice().reverse().find(([time]) => time === timestamp);
+    if (entry) {
+      entry[1] = Math.max(0, entry[1] + amount);
+      data.count = this.total(data.requests);
+    }
+    return data;
+  }
+};
+
+const fixed = {
+  ttl: ({ windowMs }) => windowMs,
+
+  consume(data, now, { limit, windowMs, cost }) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    if (!data || data.windowStart !== windowStart) {
+      data = { count: 0, windowStart };
+    }
+    data.count += cost;
+
+    const limited = data.count > limit;
+    return {
+      data,
+      limited,
+      ...this.inspect(data, now, { limit, windowMs }),
+      retryAfter: limited ? windowStart + windowMs - now : 0
+    };
+  },
+
+  inspect(data, now, { limit, windowMs }) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const count = data?.windowStart === windowStart ? data.count : 0;
+    return {
+      limit,
+      count,
+      remaining: Math.max(0, limit - count),
+      resetTime: windowStart + windowMs
+    };
+  },
+
+  adjust(data, now, options, amount, timestamp) {
+    // Only the window the request was counted in can be adjusted
+    if (data.windowStart === Math.floor(timestamp / options.windowMs) * options.windowMs) {
+      data.count = Math.max(0, data.count + amount);
+    }
+    return data;
+  }
+};
+
+// Approximates a sliding window from two fixed counters, weighting the previous one
+// by how much of it still overlaps the window
+const slidingCounter = {
+  ttl: ({ windowMs }) => windowMs * 2,
+
+  roll(data, now, windowMs) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    if (!data) return { windowStart, current: 0, previous: 0 };
+
+    if (data.windowStart === windowStart) return data;
+    return {
+      windowStart,
+      current: 0,
+      previous: data.windowStart === windowStart - windowMs ? data.current : 0
+    };
+  },
+
+  estimate(data, now, windowMs) {
+    const weight = 1 - (now - data.windowStart) / windowMs;
+    return data.previous * weight + data.current;
+  },
+
+  consume(data, now, { limit, windowMs, cost }) {
+    data = this.roll(data, now, windowMs);
+    data.current += cost;
+
+    const estimated = this.estimate(data, now, windowMs);
+    const limited = estimated > limit;
+    return {
+      data,
+      limited,
+      ...this.inspect(data, now, { limit, windowMs }),
+      // The previous window's weight has to decay far enough to make room
+      retryAfter: limited
+        ? Math.min(
+          data.windowStart + windowMs - now,
+          data.previous ? Math.ceil((estimated - limit) / data.previous * windowMs) : Infinity
+        )
+        : 0
+    };
+  },
+
+  inspect(data, now, { limit, windowMs }) {
+    data = this.roll(data, now, windowMs);
+    const count = Math.ceil(this.estimate(data, now, windowMs));
+    return {
+      limit,
+      count,
+      remaining: Math.max(0, limit - count),
+      resetTime: data.windowStart + windowMs
+    };
+  },
+
+  adjust(data, now, { windowMs }, amount, timestamp) {
+    data = this.roll(data, now, windowMs);
+    const windowStart = Math.floor(timestamp / windowMs) * windowMs;
+
+    if (windowStart === data.windowStart) {
+      data.current = Math.max(0, data.current + amount);
+    } else if (windowStart === data.windowStart - windowMs) {
+      data.previous = Math.max(0, data.previous + amount);
+    }
+    return data;
+  }
+};
+
+// Refills `limit` tokens every `windowMs` up to `burst` tokens; a request needs `cost` tokens.
+// Extra charges after the fact may leave the bucket in debt.
+const tokenBucket = {
+  ttl: ({ limit, windowMs, burst }) => Math.ceil((burst || limit) / limit * windowMs),
+
+  refill(data, now, { limit, windowMs, burst }) {
+    const capacity = burst || limit;
+    if (!data) return { tokens: capacity, lastRefill: now };
+
+    const rate = limit / windowMs;
+    return {
+      tokens: Math.min(capacity, data.tokens + (now - data.lastRefill) * rate),
+      lastRefill: now
+    };
+  },
+
+  consume(data, now, options) {
+    data = this.refill(data, now, options);
+
+    const limited = data.tokens < options.cost;
+    if (!limited) data.tokens -= options.cost;
+
+    return {
+      data,
+      limited,
+      ...this.inspect(data, now, options),
+      retryAfter: limited ? Math.ceil((options.cost - data.tokens) * options.windowMs / options.limit) : 0
+    };
+  },
+
+  inspect(data, now, options) {
+    data = this.refill(data, now, options);
+    const capacity = options.burst || options.limit;
+    return {
+      limit: capacity,
+      count: Math.ceil(capacity - data.tokens),
+      remaining: Math.max(0, Math.floor(data.tokens)),
+      resetTime: now + Math.ceil((capacity - data.tokens) * options.windowMs / options.limit)
+    };
+  },
+
+  adjust(data, now, options, amount) {
+    data = this.refill(data, now, options);
+    data.tokens = Math.min(options.burst || options.limit, data.tokens - amount);
+    return data;
+  }
+};
+
+// Queues up to `burst` units and lets them through evenly, `limit` per `windowMs`.
+// Admitted requests carry a `delay` the middleware waits out before continuing.
+const leakyBucket = {
+  ttl: ({ limit, windowMs, burst }) => Math.ceil(((burst || limit) + 1) / limit * windowMs),
+
+  consume(data, now, options) {
+    const interval = options.windowMs / options.limit;
+    const capacity = options.burst || options.limit;
+    const start = Math.max(now, data?.nextFree || 0);
+    const delay = start - now;
+    const queued = Math.ceil(delay / interval);
+
+    const limited = queued + options.cost > capacity;
+    data = { nextFree: limited ? start : start + options.cost * interval };
+
+    return {
+      data,
+      limited,
+      ...this.inspect(data, now, options),
+      delay: limited ? 0 : delay,
+      retryAfter: limited ? Math.ceil(delay - (capacity - options.cost) * interval) : 0
+    };
+  },
+
+  inspect(data, now, { limit, windowMs, burst }) {
+    const interval = windowMs / limit;
+    const capacity = burst || limit;
+    const nextFree = Math.max(now, data?.nextFree || 0);
+    const count = Math.ceil((nextFree - now) / interval);
+    return {
+      limit: capacity,
+      count,
+      remaining: Math.max(0, capacity - count),
+      resetTime: nextFree
+    };
+  },
+
+  adjust(data, now, { limit, windowMs }, amount) {
+    data.nextFree = Math.max(now, data.nextFree + amount * windowMs / limit);
+    return data;
+  }
+};
+
+module.exports = {
+  sliding,
+  fixed,
+  slidingCounter,
+  tokenBucket,
+  leakyBucket
+};
@@ -1,32 +1,51 @@
+const MemoryStore = require('./stores/memoryStore');
+const algorithms = require('./rateLimitAlgorithms');
+const { IpList, parseIp, ipSubnet } = require('./ipUtils');
+const getClientIp = require('./getClientIp');
+const createAdminRouter = require('./rateLimiterAdmin');
+
 class RateLimiter {
     constructor(config = {}) {
       this.config = {
         // Basic rate limiting
         windowMs: config.windowMs || 60 * 1000, // 1 minute default
         maxRequests: config.maxRequests || 100,  // 100 requests per windowMs
-        windowType: config.windowType || 'sliding', // 'sliding' or 'fixed'
+        windowType: config.windowType || 'sliding', // 'sliding', 'fixed', 'slidingCounter', 'tokenBucket' or 'leakyBucket'
+        burst: config.burst || null, // Bucket capacity for 'tokenBucket'/'leakyBucket', defaults to maxRequests
         
         // Response settings
         statusCode: config.statusCode || 429,
         message: config.message || 'Too many requests, please try again later\n-express-raw',
-        headers: config.headers !== false, // Enable headers by default
+        // 'legacy' (X-RateLimit-*), 'draft-6' (RateLimit-Limit/Remaining/Reset), 'draft-7' (RateLimit) or 'both' (legacy + draft-7)
+        headers: config.headers === false ? false : (typeof config.headers === 'string' ? config.headers : 'legacy'),
         
         // IP configurations
         trustProxy: config.trustProxy !== false,
-        proxyCount: config.proxyCount || 0,
+        proxyCount: config.proxyCount || 0, // Proxies in front of the app; the client is that many hops from the end
+        trustedProxies: config.trustedProxies || [], // Proxy addresses/CIDRs; without these or proxyCount, req.ip is used
+        proxyHeader: config.proxyHeader || 'x-forwarded-for', // or 'forwarded' (RFC 7239) or 'x-real-ip'
+        ipv6Subnet: config.ipv6Subnet || false, // e.g. 64 to count a whole IPv6 /64 as one client
         
         // Advanced options
         skipSuccessfulRequests: config.skipSuccessfulRequests || false,
         skipFailedRequests: config.skipFailedRequests || false,
         skipOptions: config.skipOptions || false,
         
+        // Request cost
+        cost: config.cost ?? 1, // Quota units per request, a number or (req) => number
+        responseCost: config.responseCost || null, // (req, res, cost) => final cost once the response is sent
+        
         // Route specific
-        routeLimits: config.routeLimits || {},  // { '/api/.*': 50, '/auth/.*': 20 }
-        methodLimits: config.methodLimits || {}, // { 'POST': 50, 'PUT': 30 }
+        routeLimits: config.routeLimits || {},  // { '/api/.*': 50, '/export/.*': { maxRequests: 100, cost: 10 } }
+        methodLimits: config.methodLimits || {}, // { 'POST': 50, 'PUT': { maxRequests: 30, cost: 2 } }
+        
+        // Layered policies, each with its own window and counter; replaces maxRequests/routeLimits/methodLimits
+        // [{ name: 'burst', windowMs: 1000, maxRequests: 10 }, { name: 'login', path: '^/auth/', keyGenerator: req => req.body.username, ... }]
+        policies: config.policies || null,
         
         // Security
-        whitelist: config.whitelist || [], // IPs to skip
-        blacklist: config.blacklist || [], // IPs to always block
+        whitelist: config.whitelist || [], // IPs, CIDR ranges ('10.0.0.0/8'), wildcards ('192.168.*') or keys to skip
+        blacklist: config.blacklist || [], // Same formats, always blocked
         
         // Auto ban
         autoBan: {
@@ -34,31 +53,88 @@ class RateLimiter {
           maxViolations: config.autoBan?.maxViolations || 5,
           banDurationMs: config.autoBan?.banDurationMs || 24 * 60 * 60 * 1000, // 24 hours
           banMessage: config.autoBan?.banMessage || 'You have been banned due to too many violations',
+          // Durations for the 1st, 2nd, 3rd... ban; the last one repeats. Defaults to [banDurationMs]
+          escalation: config.autoBan?.escalation || null, // e.g. [60000, 600000, 3600000, 86400000]
+          historyMs: config.autoBan?.historyMs || 7 * 24 * 60 * 60 * 1000, // How long past bans count towards escalation
+          violationWindowMs: config.autoBan?.violationWindowMs || null, // Defaults to windowMs * 2
+        },
+        
+        // Growing delay for clients with violations, before they get banned
+        slowDown: {
+          enabled: config.slowDown?.enabled || false,
+          afterViolations: config.slowDown?.afterViolations || 1,
+          delayMs: config.slowDown?.delayMs || 1000, // Added per violation
+          maxDelayMs: config.slowDown?.maxDelayMs || 30 * 1000,
         },
   
-        // Store cleanup
+        // Store
+        store: config.store || null, // MemoryStore, FileStore, RedisStore or any compatible store
         cleanupInterval: config.cleanupInterval || 5 * 60 * 1000, // 5 minutes
         maxStoreSize: config.maxStoreSize || 10000,
   
         // Custom handlers
-        keyGenerator: config.keyGenerator || (req => req.ip),
+        keyGenerator: config.keyGenerator || (req => this.getClientKey(req)),
         skip: config.skip || (() => false),
         handler: config.handler || null,
         onBan: config.onBan || null,
         onRateLimit: config.onRateLimit || null,
+        
+        // 'enforce' blocks requests; 'shadow' only reports who would have been blocked
+        mode: config.mode || 'enforce',
       };
   
-      // Initialize stores
-      this.store = {
-        requests: new Map(),
-        violations: new Map(),
-        bans: new Map()
-      };
+      this.policies = this.config.policies
+        ? this.config.policies.map((policy, index) => this.createPolicy(policy, index))
+        : [this.createDefaultPolicy()];
+  
+      this.whitelist = new IpList(this.config.whitelist);
+      this.blacklist = new IpList(this.config.blacklist);
+  
+      this.shadowStats = this.createShadowStats();
+  
+      // Initialize store
+      this.store = this.config.store || new MemoryStore({ maxSize: this.config.maxStoreSize });
   
       // Start cleanup interval
       this.startCleanup();
     }
   
+    getClientIp(req) {
+      return getClientIp(req, this.config);
+    }
+  
+    getClientKey(req) {
+      const ip = this.getClientIp(req);
+      if (this.config.ipv6Subnet && parseIp(ip)?.version === 6) {
+        return ipSubnet(ip, this.config.ipv6Subnet);
+      }
+      return ip;
+    }
+  
+    isWhitelisted(req, key) {
+      return this.whitelist.has(this.getClientIp(req)) || this.whitelist.has(key);
+    }
+  
+    isBlacklisted(req, key) {
+      return this.blacklist.has(this.getClientIp(req)) || this.blacklist.has(key);
+    }
+  
+    addToWhitelist(entry) {
+      return this.whitelist.add(entry);
+    }
+  
+    removeFromWhitelist(entry) {
+      return this.whitelist.remove(entry);
+    }
+  
+    addToBlacklist(entry) {
+      return this.blacklist.add(entry);
+    }
+  
+    removeFromBlacklist(entry) {
+      return this.blacklist.remove(entry);
+    }
+  
     generateKey(req) {
       const baseKey = this.config.keyGenerator(req);
       const parts = [baseKey];
@@ -70,201 +146,490 @@ class RateLimiter {
       return parts.join(':');
     }
   
-    getRouteLimit(path) {
-      for (const [pattern, limit] of Object.entries(this.config.routeLimits)) {
-        if (new RegExp(pattern).test(path)) return limit;
+    // Store keys of every counter a client has under a policy. With routeLimits/methodLimits the
+    // default policy counts per client:path:method, so those counters are found by prefix.
+    async counterKeys(policy, key) {
+      const exact = `${policy.name}:${key}`;
+      const byRoute = Object.keys(this.config.routeLimits).length > 0;
+      const byMethod = Object.keys(this.config.methodLimits).length > 0;
+      if (policy.name !== 'default' || (!byRoute && !byMethod)) return [exact];
+  
+      // Paths start with '/', methods are upper case; this keeps '::1' from matching '::1:5:/x'
+      const suffix = byRoute ? /^\/.*$/s : /^[A-Z-]+$/;
+      const prefix = `${exact}:`;
+      const keys = (await this.store.entries('requests'))
+        .map(([storeKey]) => storeKey)
+        .filter(storeKey => storeKey.startsWith(prefix) && suffix.test(storeKey.slice(prefix.length)));
+      return [exact, ...keys];
+    }
+  
+    // Route and method entries are either a limit or { maxRequests, cost }
+    getRouteRule(path) {
+      for (const [pattern, rule] of Object.entries(this.config.routeLimits)) {
+        if (new RegExp(pattern).test(path)) return rule;
       }
-      return this.config.maxRequests;
+      return null;
+    }
+  
+    getRouteLimit(path) {
+      const rule = this.getRouteRule(path);
+      return (typeof rule === 'number' ? rule : rule?.maxRequests) || this.config.maxRequests;
     }
   
     getMethodLimit(method) {
-      return this.config.methodLimits[method] || this.config.maxRequests;
+      const rule = this.config.methodLimits[method];
+      return (typeof rule === 'number' ? rule : rule?.maxRequests) || this.config.maxRequests;
+    }
+  
+    getCost(req) {
+      const rules = [this.getRouteRule(req.path), this.config.methodLimits[req.method]];
+      const cost = rules.find(rule => rule?.cost !== undefined)?.cost ?? this.config.cost;
+      const value = typeof cost === 'function' ? cost(req) : cost;
+      return Number.isFinite(value) && value >= 0 ? value : 1;
     }
   
-    isRateLimited(key, req) {
+    createPolicy(policy, index) {
+      const windowType = policy.windowType || this.config.windowType;
+      const algorithm = algorithms[windowType];
+      if (!algorithm) {
+        throw new Error(`Unknown windowType: ${windowType}`);
+      }
+  
+      const path = typeof policy.path === 'string' ? new RegExp(policy.path) : policy.path;
+      const methods = policy.methods?.map(method => method.toUpperCase());
+      const maxRequests = policy.maxRequests || this.config.maxRequests;
+  
+      return {
+        name: policy.name || `policy${index + 1}`,
+        windowType,
+        algorithm,
+        windowMs: policy.windowMs || this.config.windowMs,
+        maxRequests,
+        burst: policy.burst ?? this.config.burst,
+        cost: policy.cost,
+        keyGenerator: policy.keyGenerator || this.config.keyGenerator,
+        matches: req => (!path || path.test(req.path)) && (!methods || methods.includes(req.method)),
+        getLimit: () => maxRequests
+      };
+    }
+  
+    // Single policy built from maxRequests, routeLimits and methodLimits
+    createDefaultPolicy() {
+      return {
+        ...this.createPolicy({ name: 'default', keyGenerator: req => this.generateKey(req) }, 0),
+        getLimit: req => Math.min(this.getRouteLimit(req.path), this.getMethodLimit(req.method))
+      };
+    }
+  
+    getPolicy(name) {
+      return this.policies.find(policy => policy.name === name) || null;
+    }
+  
+    algorithmOptions(policy, limit, cost = 1) {
+      return {
+        limit,
+        cost,
+        windowMs: policy.windowMs,
+        burst: policy.burst
+      };
+    }
+  
+    async consumePolicy(policy, req, now) {
+      const policyKey = policy.keyGenerator(req);
+      // Policies whose key can't be derived (e.g. no username on the request) don't apply
+      if (policyKey === undefined || policyKey === null) return null;
+  
+      const key = `${policy.name}:${policyKey}`;
+      const limit = policy.getLimit(req);
+      const cost = policy.cost === undefined
+        ? this.getCost(req)
+        : (typeof policy.cost === 'function' ? policy.cost(req) : policy.cost);
+      const options = this.algorithmOptions(policy, limit, cost);
+  
+      let result;
+      await this.store.update('requests', key, (data) => {
+        result = policy.algorithm.consume(data, now, options);
+        // Remember the limit in effect so getRateLimitInfo reports against it
+        result.data.limit = limit;
+        return result.data;
+      }, policy.algorithm.ttl(options));
+  
+      return { ...result, policy, key, options, timestamp: now };
+    }
+  
+    // Checks the request against every matching policy and records a violation if any trips
+    async consume(key, req) {
       const now = Date.now();
-      const data = this.store.requests.get(key) || { count: 0, firstRequest: now, requests: [] };
-      
-      // Determine applicable limit
-      const routeLimit = this.getRouteLimit(req.path);
-      const methodLimit = this.getMethodLimit(req.method);
-      const limit = Math.min(routeLimit, methodLimit);
-  
-      if (this.config.windowType === 'sliding') {
-        // Remove requests outside the current window
-        data.requests = data.requests.filter(time => now - time < this.config.windowMs);
-        data.count = data.requests.length;
-      } else {
-        // Fixed window
-        const windowStart = Math.floor(now / this.config.windowMs) * this.config.windowMs;
-        if (data.firstRequest < windowStart) {
-          data.count = 0;
-          data.firstRequest = now;
-          data.requests = [];
-        }
+      const results = [];
+  
+      for (const policy of this.policies) {
+        if (!policy.matches(req)) continue;
+        const result = await this.consumePolicy(policy, req, now);
+        if (result) results.push(result);
       }
   
-      // Add current request
-      data.requests.push(now);
-      data.count++;
-      this.store.requests.set(key, data);
+      const limited = results.filter(result => result.limited);
+      // Report the policy that blocks the longest, or the closest to tripping when none did
+      const tripped = limited.sort((a, b) => b.retryAfter - a.retryAfter)[0] || null;
+      const closest = results.slice().sort((a, b) => a.remaining - b.remaining)[0] || null;
   
-      // Check if rate limited
-      if (data.count > limit) {
-        this.handleViolation(key, req);
-        return true;
+      if (tripped) {
+        await this.handleViolation(key, req);
       }
   
-      return false;
+      return {
+        limited: !!tripped,
+        applied: tripped || closest,
+        results,
+        delay: Math.max(0, ...results.map(result => result.delay || 0))
+      };
     }
   
-    handleViolation(key, req) {
-      const violations = this.store.violations.get(key) || { count: 0, timestamps: [] };
-      violations.count++;
-      violations.timestamps.push(Date.now());
-      this.store.violations.set(key, violations);
+    // Refunds (negative amount) or charges extra quota for a request that was already counted
+    async adjust(result, amount) {
+      if (!amount) return;
+  
+      const { policy, key, options, timestamp } = result;
+      await this.store.update('requests', key, (data) => {
+        return data && policy.algorithm.adjust(data, Date.now(), options, amount, timestamp);
+      }, policy.algorithm.ttl(options));
+    }
+  
+    async isRateLimited(key, req) {
+      return (await this.consume(key, req)).limited;
+    }
+  
+    async handleViolation(key, req) {
+      const violationWindowMs = this.config.autoBan.violationWindowMs || this.config.windowMs * 2;
+  
+      const violations = await this.store.update('violations', key, (violations = { count: 0, timestamps: [] }) => {
+        const now = Date.now();
+        violations.timestamps = violations.timestamps.filter(time => now - time < violationWindowMs);
+        violations.timestamps.push(now);
+        violations.count = violations.timestamps.length;
+        return violations;
+      }, violationWindowMs);
   
       if (this.config.autoBan.enabled && violations.count >= this.config.autoBan.maxViolations) {
-        this.banIP(key, req);
+        await this.banIP(key, req);
       }
     }
   
-    banIP(key, req) {
+    getBanDuration(level) {
+      const escalation = this.config.autoBan.escalation || [this.config.autoBan.banDurationMs];
+      return escalation[Math.min(level, escalation.length) - 1];
+    }
+  
+    async banIP(key, req) {
+      const now = Date.now();
+      const violations = await this.store.get('violations', key);
+  
+      // Ban history outlives the ban itself so repeat offenders escalate
+      const penalty = await this.store.update('penalties', key, (penalty = { level: 0, bans: [] }) => {
+        penalty.bans = penalty.bans.filter(time => now - time < this.config.autoBan.historyMs);
+        penalty.bans.push(now);
+        penalty.level = penalty.bans.length;
+        return penalty;
+      }, this.config.autoBan.historyMs);
+  
+      const durationMs = this.getBanDuration(penalty.level);
       const banData = {
-        timestamp: Date.now(),
-        violations: this.store.violations.get(key)?.count || 0,
-        expiresAt: Date.now() + this.config.autoBan.banDurationMs
+        timestamp: now,
+        violations: violations?.count || 0,
+        level: penalty.level,
+        durationMs,
+        expiresAt: now + durationMs,
+        // Shadow bans are recorded for reporting but never enforced
+        shadow: this.config.mode === 'shadow'
       };
       
-      this.store.bans.set(key, banData);
+      await this.store.set('bans', key, banData, durationMs);
+      // Start counting afresh once the ban is over
+      await this.store.delete('violations', key);
       
       if (this.config.onBan) {
         this.config.onBan(req, banData);
       }
     }
   
-    isIPBanned(key) {
-      const ban = this.store.bans.get(key);
-      if (!ban) return false;
+    async getPenalty(key) {
+      const [violations, penalty, ban] = await Promise.all([
+        this.store.get('violations', key),
+        this.store.get('penalties', key),
+        this.getBan(key)
+      ]);
   
-      if (Date.now() > ban.expiresAt) {
-        this.store.bans.delete(key);
-        return false;
+      const count = violations?.count || 0;
+      const level = penalty?.level || 0;
+      const delayMs = this.getSlowDownDelay(count);
+      // Shadow bans are reported separately: the middleware never blocks on them in enforce mode
+      const banned = Boolean(ban && !ban.shadow);
+      const tier = banned ? 'banned' : delayMs > 0 ? 'slowdown' : 'none';
+  
+      return {
+        tier,
+        violations: count,
+        level,
+        delayMs,
+        shadowBanned: Boolean(ban?.shadow),
+        banExpiry: ban?.expiresAt,
+        nextBanDurationMs: this.config.autoBan.enabled ? this.getBanDuration(level + 1) : null
+      };
+    }
+  
+    getSlowDownDelay(violations) {
+      const { enabled, afterViolations, delayMs, maxDelayMs } = this.config.slowDown;
+      if (!enabled || violations < afterViolations) return 0;
+      return Math.min(maxDelayMs, delayMs * (violations - afterViolations + 1));
+    }
+  
+    async getBan(key) {
+      const ban = await this.store.get('bans', key);
+      if (!ban) return null;
+  
+      if (this.isBanExpired(ban)) {
+        await this.store.delete('bans', key);
+        return null;
       }
   
-      return true;
+      return ban;
+    }
+  
+    // Manual bans without an expiry (durationMs: Infinity) are stored with expiresAt: null
+    // A ban without a usable expiry (corrupt or hand-edited record) counts as expired
+    isBanExpired(ban) {
+      return ban.expiresAt !== null && !(Date.now() <= ban.expiresAt);
     }
   
-    getRateLimitInfo(key) {
-      const data = this.store.requests.get(key);
-      const violations = this.store.violations.get(key);
-      const ban = this.store.bans.get(key);
+    // Bans recorded in shadow mode don't count; see getRateLimitInfo().shadowBanned
+    async isIPBanned(key) {
+      const ban = await this.getBan(key);
+      return Boolean(ban && !ban.shadow);
+    }
   
+    // Every entry carries `shadow` so shadow bans can be told apart from enforced ones
+    async listBans() {
+      const bans = await this.store.entries('bans');
+      return bans
+        .filter(([, ban]) => !this.isBanExpired(ban))
+        .map(([key, ban]) => ({ key, ...ban, shadow: Boolean(ban.shadow) }));
+    }
+  
+    async ban(key, { durationMs = this.config.autoBan.banDurationMs, reason = null } = {}) {
+      const now = Date.now();
+      const permanent = durationMs === Infinity;
+      const banData = {
+        timestamp: now,
+        violations: (await this.store.get('violations', key))?.count || 0,
+        durationMs: permanent ? null : durationMs,
+        expiresAt: permanent ? null : now + durationMs,
+        reason,
+        manual: true
+      };
+  
+      await this.store.set('bans', key, banData, permanent ? null : durationMs);
+      return { key, ...banData };
+    }
+  
+    async unban(key) {
+      const ban = await this.getBan(key);
+      await Promise.all([
+        this.store.delete('bans', key),
+        this.store.delete('violations', key)
+      ]);
+      return !!ban;
+    }
+  
+    async getViolations(key) {
+      const violations = await this.store.get('violations', key);
       return {
-        requests: data?.count || 0,
-        remaining: Math.max(0, this.config.maxRequests - (data?.count || 0)),
-        violations: violations?.count || 0,
-        banned: this.isIPBanned(key),
-        banExpiry: ban?.expiresAt,
-        resetTime: data ? data.firstRequest + this.config.windowMs : Date.now(),
+        key,
+        count: violations?.count || 0,
+        timestamps: violations?.timestamps || []
       };
     }
   
-    startCleanup() {
-      setInterval(() => {
-        const now = Date.now();
+    async exportBans() {
+      return {
+        exportedAt: new Date().toISOString(),
+        bans: await this.listBans()
+      };
+    }
   
-        // Cleanup requests
-        for (const [key, data] of this.store.requests.entries()) {
-          if (now - data.firstRequest > this.config.windowMs) {
-            this.store.requests.delete(key);
-          }
-        }
+    // Accepts the output of exportBans() (or its `bans` array); expired bans are skipped.
+    // Nothing is imported if any entry lacks a string key or has an expiresAt that isn't null or a timestamp.
+    async importBans(data) {
+      const bans = Array.isArray(data) ? data : data?.bans || [];
+      const invalid = bans.findIndex(ban => typeof ban?.key !== 'string' || !ban.key || (ban.expiresAt !== null && !Number.isFinite(ban.expiresAt)));
+      if (invalid !== -1) {
+        throw Object.assign(
+          new Error(`Invalid ban at index ${invalid}: expected a string key and expiresAt as a timestamp or null`),
+          { status: 400, expose: true }
+        );
+      }
+      let imported = 0;
   
-        // Cleanup bans
-        for (const [key, ban] of this.store.bans.entries()) {
-          if (now > ban.expiresAt) {
-            this.store.bans.delete(key);
-          }
-        }
+      for (const { key, ...ban } of bans) {
+        if (this.isBanExpired(ban)) continue;
+        const ttlMs = ban.expiresAt === null ? null : ban.expiresAt - Date.now();
+        await this.store.set('bans', key, ban, ttlMs);
+        imported++;
+      }
   
-        // Cleanup old violations
-        for (const [key, violations] of this.store.violations.entries()) {
-          violations.timestamps = violations.timestamps.filter(time => 
-            now - time < this.config.windowMs * 2
-          );
-          if (violations.timestamps.length === 0) {
-            this.store.violations.delete(key);
-          } else {
-            violations.count = violations.timestamps.length;
-            this.store.violations.set(key, violations);
-          }
-        }
+      return imported;
+    }
   
-        // Prevent store from growing too large
-        if (this.store.requests.size > this.config.maxStoreSize) {
-          const entriesToDelete = Array.from(this.store.requests.entries())
-            .sort(([, a], [, b]) => a.firstRequest - b.firstRequest)
-            .slice(0, Math.floor(this.config.maxStoreSize * 0.2))
-            .map(([key]) => key);
+    adminRouter(options = {}) {
+      return createAdminRouter(this, options);
+    }
   
-          entriesToDelete.forEach(key => this.store.requests.delete(key));
-        }
+    // `key` is the policy key (what the policy's keyGenerator returns)
+    async getRateLimitInfo(key, policyName = this.policies[0].name) {
+      const policy = this.getPolicy(policyName);
+      if (!policy) {
+        throw Object.assign(new Error(`Unknown policy: ${policyName}`), { status: 400, expose: true });
+      }
+  
+      const keys = await this.counterKeys(policy, key);
+      const [records, penalty] = await Promise.all([
+        Promise.all(keys.map(counterKey => this.store.get('requests', counterKey))),
+        this.getPenalty(key)
+      ]);
+  
+      // Per-route counters: report the one closest to its limit
+      const now = Date.now();
+      const states = records.filter(Boolean).map(data => policy.algorithm.inspect(
+        data, now, this.algorithmOptions(policy, data.limit || policy.maxRequests)
+      ));
+      const state = states.length
+        ? states.reduce((lowest, current) => (current.remaining < lowest.remaining ? current : lowest))
+        : policy.algorithm.inspect(undefined, now, this.algorithmOptions(policy, policy.maxRequests));
+  
+      return {
+        policy: policy.name,
+        limit: state.limit,
+        requests: state.count,
+        remaining: state.remaining,
+        violations: penalty.violations,
+        banned: penalty.tier === 'banned',
+        shadowBanned: penalty.shadowBanned,
+        banExpiry: penalty.banExpiry,
+        resetTime: state.resetTime,
+        penalty,
+      };
+    }
+  
+    startCleanup() {
+      // Stores expire records on their own; the sweep just reclaims memory early
+      this.cleanupTimer = setInterval(() => {
+        Promise.resolve(this.store.prune?.()).catch(() => {});
       }, this.config.cleanupInterval);
     }
   
     middleware(logger) {
-      return (req, res, next) => {
-        // Skip if needed
-        if (this.config.skip(req)) return next();
-        if (this.config.skipOptions && req.method === 'OPTIONS') return next();
+      return async (req, res, next) => {
+        let result;
+        // Errors from user callbacks (skip, keyGenerator) go to Express instead of becoming unhandled rejections
+        try {
+          // Skip if needed
+          if (this.config.skip(req)) return next();
+          if (this.config.skipOptions && req.method === 'OPTIONS') return next();
+  
+          // Client identity for lists, violations and bans; policies keep their own counter keys
+          const key = this.config.keyGenerator(req);
+  
+          // Check whitelist/blacklist
+          if (this.isWhitelisted(req, key)) return next();
+  
+          const shadow = this.config.mode === 'shadow';
+          const shadowData = shadow ? { Shadow: true } : {};
+  
+          if (this.isBlacklisted(req, key)) {
+            if (shadow) return this.recordShadow(req, res, next, key, 'blacklist');
+            return await this.handleRateLimit(req, res, key, logger);
+          }
   
-        const key = this.generateKey(req);
+          // Check if banned; in enforce mode bans recorded while shadowing don't count
+          const ban = await this.getBan(key);
+          if (ban && (shadow || !ban.shadow)) {
+            if (logger?.config.enabled.rateLimit) {
+              logger.banned(req, ban.durationMs || this.config.autoBan.banDurationMs, {
+                IP: this.getClientIp(req),
+                Violations: ban.violations,
+                Level: ban.level,
+                ExpiresAt: formatExpiry(ban.expiresAt),
+                ...shadowData
+              });
+            }
+            if (shadow) return this.recordShadow(req, res, next, key, 'banned');
+            return await this.handleRateLimit(req, res, key, logger, true);
+          }
   
-        // Check whitelist/blacklist
-        if (this.config.whitelist.includes(key)) return next();
-        if (this.config.blacklist.includes(key)) {
-          return this.handleRateLimit(req, res, key, logger);
-        }
+          // Check rate limit
+          result = await this.consume(key, req);
+          req.rateLimit = this.describe(result.applied);
+          if (this.config.headers && !shadow) {
+            this.setHeaders(res, result);
+          }
   
-        // Check if banned
-        if (this.isIPBanned(key)) {
-          if (logger?.config.enabled.rateLimit) {
-            const ban = this.store.bans.get(key);
-            logger.banned(req, this.config.autoBan.banDurationMs, {
-              Violations: ban.violations,
-              ExpiresAt: new Date(ban.expiresAt).toISOString()
-            });
+          if (result.limited) {
+            if (logger?.config.enabled.rateLimit) {
+              const violations = await this.store.get('violations', key);
+              logger.rateLimit(req, result.applied.limit, {
+                IP: this.getClientIp(req),
+                Policy: result.applied.policy.name,
+                CurrentRequests: result.applied.count,
+                ViolationCount: violations?.count || 0,
+                ResetTime: new Date(result.applied.resetTime).toISOString(),
+                ...shadowData
+              });
+            }
+            this.config.onRateLimit?.(req, { ...req.rateLimit, shadow });
+            if (shadow) return this.recordShadow(req, res, next, key, 'limited', req.rateLimit.policy);
+            return await this.handleRateLimit(req, res, key, logger);
           }
-          return this.handleRateLimit(req, res, key, logger, true);
-        }
   
-        // Check rate limit
-        if (this.isRateLimited(key, req)) {
-          if (logger?.config.enabled.rateLimit) {
-            const info = this.getRateLimitInfo(key);
-            logger.rateLimit(req, this.config.maxRequests, {
-              CurrentRequests: info.requests,
-              ViolationCount: info.violations,
-              ResetTime: new Date(info.resetTime).toISOString()
-            });
+          // Leaky bucket smooths bursts by holding requests until their turn,
+          // and repeat offenders are slowed down before they get banned
+          let delay = shadow ? 0 : result.delay;
+          if (this.config.slowDown.enabled && !shadow) {
+            const violations = await this.store.get('violations', key);
+            delay += this.getSlowDownDelay(violations?.count || 0);
+          }
+          if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
           }
-          return this.handleRateLimit(req, res, key, logger);
+        } catch (error) {
+          return next(error);
         }
   
         // Handle response if needed
-        if (this.config.skipSuccessfulRequests || this.config.skipFailedRequests) {
+        if (this.config.skipSuccessfulRequests || this.config.skipFailedRequests || this.config.responseCost) {
           res.on('finish', () => {
             const successful = res.statusCode < 400;
-            if ((successful && this.config.skipSuccessfulRequests) ||
-                (!successful && this.config.skipFailedRequests)) {
-              const data = this.store.requests.get(key);
-              if (data) {
-                data.count--;
-                data.requests.pop();
-                this.store.requests.set(key, data);
+            const skipped = (successful && this.config.skipSuccessfulRequests) ||
+              (!successful && this.config.skipFailedRequests);
+  
+            result.results.forEach((policyResult) => {
+              const { cost } = policyResult.options;
+              let finalCost = cost;
+  
+              if (skipped) {
+                finalCost = 0;
+              } else if (this.config.responseCost) {
+                // This runs in a 'finish' listener, where a throw would take the process down
+                try {
+                  const value = this.config.responseCost(req, res, cost);
+                  if (Number.isFinite(value) && value >= 0) finalCost = value;
+                } catch {
+                  finalCost = cost;
+                }
               }
-            }
+  
+              Promise.resolve()
+                .then(() => this.adjust(policyResult, finalCost - cost))
+                .catch(() => {});
+            });
           });
         }
   
@@ -272,36 +637,152 @@ class RateLimiter {
       };
     }
   
-    handleRateLimit(req, res, key, logger, isBanned = false) {
-      if (this.config.handler) {
-        return this.config.handler(req, res, key);
+    createShadowStats() {
+      return {
+        since: Date.now(),
+        total: 0,
+        reasons: {},
+        policies: {},
+        keys: new Map(),
+        routes: new Map()
+      };
+    }
+  
+    // Counts a request that would have been blocked and lets it through
+    recordShadow(req, res, next, key, reason, policy = null) {
+      const stats = this.shadowStats;
+      stats.total++;
+      stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+      if (policy) stats.policies[policy] = (stats.policies[policy] || 0) + 1;
+  
+      // Bounded like the store so a flood of distinct keys can't exhaust memory
+      const count = (counts, value) => {
+        if (counts.has(value) || counts.size < this.config.maxStoreSize) {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        }
+      };
+      count(stats.keys, key);
+  
+      // The matched route pattern is only known once routing is done
+      res.on('finish', () => {
+        const route = req.route ? `${req.method} ${req.baseUrl || ''}${req.route.path}` : `${req.method} ${req.path}`;
+        count(stats.routes, route);
+      });
+  
+      next();
+    }
+  
+    getShadowReport(limit = 10) {
+      const top = (counts, name) => Array.from(counts.entries())
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, limit)
+        .map(([value, count]) => ({ [name]: value, count }));
+  
+      return {
+        mode: this.config.mode,
+        since: new Date(this.shadowStats.since).toISOString(),
+        total: this.shadowStats.total,
+        reasons: { ...this.shadowStats.reasons },
+        policies: { ...this.shadowStats.policies },
+        topKeys: top(this.shadowStats.keys, 'key'),
+        topRoutes: top(this.shadowStats.routes, 'route')
+      };
+    }
+  
+    resetShadowReport() {
+      this.shadowStats = this.createShadowStats();
+    }
+  
+    // Shape exposed as req.rateLimit and to onRateLimit
+    describe(policyResult) {
+      if (!policyResult) return null;
+  
+      return {
+        policy: policyResult.policy.name,
+        limit: policyResult.limit,
+        remaining: policyResult.remaining,
+        resetTime: policyResult.resetTime,
+        retryAfter: policyResult.retryAfter
+      };
+    }
+  
+    // Sent on every response, using the policy in effect for this request
+    setHeaders(res, result) {
+      const { applied } = result;
+      if (!applied) return;
+  
+      const mode = this.config.headers;
+      const resetSeconds = Math.max(0, Math.ceil((applied.resetTime - Date.now()) / 1000));
+      const policies = result.results
+        .map(({ limit, policy }) => `${limit};w=${Math.ceil(policy.windowMs / 1000)}`)
+        .join(', ');
+  
+      if (mode === 'legacy' || mode === 'both') {
+        res.setHeader('X-RateLimit-Limit', applied.limit);
+        res.setHeader('X-RateLimit-Remaining', applied.remaining);
+        res.setHeader('X-RateLimit-Reset', Math.ceil(applied.resetTime / 1000));
+        res.setHeader('X-RateLimit-Policy', applied.policy.name);
+      }
+  
+      if (mode === 'draft-6') {
+        res.setHeader('RateLimit-Policy', policies);
+        res.setHeader('RateLimit-Limit', applied.limit);
+        res.setHeader('RateLimit-Remaining', applied.remaining);
+        res.setHeader('RateLimit-Reset', resetSeconds);
       }
   
+      if (mode === 'draft-7' || mode === 'both') {
+        res.setHeader('RateLimit-Policy', policies);
+        res.setHeader('RateLimit', `limit=${applied.limit}, remaining=${applied.remaining}, reset=${resetSeconds}`);
+      }
+    }
+  
+    async handleRateLimit(req, res, key, logger, isBanned = false) {
       if (this.config.headers) {
-        const info = this.getRateLimitInfo(key);
-        res.setHeader('X-RateLimit-Limit', this.config.maxRequests);
-        res.setHeader('X-RateLimit-Remaining', info.remaining);
-        res.setHeader('X-RateLimit-Reset', Math.ceil(info.resetTime / 1000));
-        if (isBanned) {
-          res.setHeader('X-RateLimit-Ban-Expires', Math.ceil(info.banExpiry / 1000));
+        const ban = isBanned && await this.getBan(key);
+        const mode = this.config.headers;
+  
+        if (ban && ban.expiresAt !== null) {
+          res.setHeader('Retry-After', Math.max(0, Math.ceil((ban.expiresAt - Date.now()) / 1000)));
+          if (mode === 'legacy' || mode === 'both') {
+            res.setHeader('X-RateLimit-Ban-Expires', Math.ceil(ban.expiresAt / 1000));
+          }
+        } else if (!ban && req.rateLimit) {
+          res.setHeader('Retry-After', Math.max(1, Math.ceil(req.rateLimit.retryAfter / 1000)));
         }
       }
   
+      if (this.config.handler) {
+        return this.config.handler(req, res, key);
+      }
+  
       const message = isBanned ? this.config.autoBan.banMessage : this.config.message;
       res.status(this.config.statusCode).send(message);
     }
   
-    reset(key = null) {
+    async reset(key = null) {
       if (key) {
-        this.store.requests.delete(key);
-        this.store.violations.delete(key);
-        this.store.bans.delete(key);
+        const counters = (await Promise.all(this.policies.map(policy => this.counterKeys(policy, key)))).flat();
+        await Promise.all([
+          ...counters.map(counterKey => this.store.delete('requests', counterKey)),
+          this.store.delete('violations', key),
+          this.store.delete('bans', key),
+          this.store.delete('penalties', key)
+        ]);
       } else {
-        this.store.requests.clear();
-        this.store.violations.clear();
-        this.store.bans.clear();
+        await this.store.clear();
       }
     }
+  
+    async close() {
+      clearInterval(this.cleanupTimer);
+      await this.store.close?.();
+    }
   }
   
+function formatExpiry(expiresAt) {
+  if (expiresAt === null) return 'never';
+  return Number.isFinite(expiresAt) ? new Date(expiresAt).toISOString() : String(expiresAt);
+}
+  
 module.exports = RateLimiter;
\ No newline at end of file
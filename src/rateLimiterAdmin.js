@@ -0,0 +1,69 @@
+// JSON endpoints for managing a RateLimiter's bans without redeploying
+function createAdminRouter(limiter, options = {}) {
+  if (typeof options.auth !== 'function') {
+    throw new Error('adminRouter requires an auth function: (req) => boolean');
+  }
+
+  const express = require('express');
+  const router = express.Router();
+
+  // Express 4 doesn't catch rejected promises from handlers. Errors marked `expose`
+  // (bad input, unknown policy) are answered as JSON; anything else goes to Express.
+  const handle = fn => (req, res, next) => Promise.resolve(fn(req, res)).catch((error) => {
+    if (!error?.expose || !error.status) return next(error);
+    res.status(error.status).json({ error: error.message });
+  });
+
+  router.use((req, res, next) => {
+    Promise.resolve(options.auth(req))
+      .then(allowed => allowed ? next() : res.status(401).json({ error: 'Unauthorized' }))
+      .catch(next);
+  });
+
+  router.use(express.json());
+
+  router.get('/bans', handle(async (req, res) => {
+    res.json({ bans: await limiter.listBans() });
+  }));
+
+  router.get('/bans/export', handle(async (req, res) => {
+    res.json(await limiter.exportBans());
+  }));
+
+  router.post('/bans/import', handle(async (req, res) => {
+    res.json({ imported: await limiter.importBans(req.body) });
+  }));
+
+  router.post('/bans', handle(async (req, res) => {
+    const { key, durationMs, reason } = req.body || {};
+    if (typeof key !== 'string' || !key) {
+      return res.status(400).json({ error: 'key is required and must be a string' });
+    }
+    if (durationMs !== undefined && durationMs !== null && !(Number(durationMs) > 0)) {
+      return res.status(400).json({ error: 'durationMs must be a positive number or null for a permanent ban' });
+    }
+
+    const ban = await limiter.ban(key, {
+      durationMs: durationMs === null ? Infinity : (durationMs && Number(durationMs)),
+      reason
+    });
+    res.status(201).json(ban);
+  }));
+
+  router.delete('/bans/:key', handle(async (req, res) => {
+    const removed = await limiter.unban(req.params.key);
+    res.status(removed ? 200 : 404).json({ key: req.params.key, unbanned: removed });
+  }));
+
+  router.get('/violations/:key', handle(async (req, res) => {
+    res.json(await limiter.getViolations(req.params.key));
+  }));
+
+  router.get('/info/:key', handle(async (req, res) => {
+    res.json(await limiter.getRateLimitInfo(req.params.key, req.query.policy));
+  }));
+
+  return router;
+}
+
+module.exports = createAdminRouter;
@@ -0,0 +1,152 @@
+const DEFAULT_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-auth-token',
+  'x-csrf-token'
+];
+
+// Key names match at any depth; dotted paths (user.pin, cards.*.number) match the end of a key path
+const DEFAULT_PATHS = [
+  'password',
+  'passwd',
+  'secret',
+  'token',
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'api_key',
+  'client_secret',
+  'authorization',
+  'cookie',
+  'card_number',
+  'credit_card',
+  'cvv',
+  'cvc',
+  'ssn'
+];
+
+const DEFAULT_PATTERNS = [
+  // JSON Web Tokens
+  /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/g,
+  // Email addresses
+  /[\w.+-]+@[a-z\d-]+(?:\.[a-z\d-]+)*\.[a-z]{2,}/gi,
+  // Card numbers: 13-19 digits starting with a known issuer digit (not a millisecond timestamp),
+  // optionally grouped, and passing the Luhn check
+  { pattern: /\b[2-6]\d(?:[ -]?\d){11,17}\b/g, test: luhn }
+];
+
+function luhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// api_key, apiKey and API-Key are the same key
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-_]/g, '');
+}
+
+const QUERY_PARAM = /([?&;])([\w.\-[\]]+)=([^&#\s"']*)/g;
+// "key": "value" pairs in JSON text that could not be parsed (truncated bodies, messages)
+const JSON_PAIR = /("([\w.-]+)"\s*:\s*)("(?:[^"\\]|\\.)*"|-?\d[\d.eE+-]*)/g;
+
+// Masks sensitive headers, keys and patterns before anything is logged.
+// `options` extend the built-in lists unless `defaults: false`.
+class Redactor {
+  constructor(options = {}) {
+    const defaults = options.defaults !== false;
+    this.censor = options.censor ?? '[REDACTED]';
+
+    this.headers = new Set([...(defaults ? DEFAULT_HEADERS : []), ...(options.headers || [])].map(normalizeKey));
+
+    const paths = [...(defaults ? DEFAULT_PATHS : []), ...(options.paths || [])];
+    this.keys = new Set(paths.filter(path => !path.includes('.')).map(normalizeKey));
+    this.paths = paths
+      .filter(path => path.includes('.'))
+      .map(path => path.split('.').map(segment => (segment === '*' ? '*' : normalizeKey(segment))));
+
+    this.patterns = [...(defaults ? DEFAULT_PATTERNS : []), ...(options.patterns || [])]
+      .map(pattern => (pattern instanceof RegExp ? { pattern } : pattern))
+      .map(({ pattern, test }) => ({
+        pattern: pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`),
+        test
+      }));
+  }
+
+  isSensitiveKey(key) {
+    const normalized = normalizeKey(key);
+    return this.keys.has(normalized) || this.headers.has(normalized);
+  }
+
+  matchesPath(path) {
+    return this.paths.some((pattern) => {
+      const offset = path.length - pattern.length;
+      return offset >= 0 && pattern.every((segment, i) => segment === '*' || segment === path[offset + i]);
+    });
+  }
+
+  string(value) {
+    if (typeof value !== 'string' || !value) return value;
+
+    // token=... in query strings and URLs inside plain text
+    let result = value.replace(QUERY_PARAM, (match, separator, key, secret) => (
+      secret && this.isSensitiveKey(key) ? `${separator}${key}=${this.censor}` : match
+    ));
+    result = result.replace(JSON_PAIR, (match, prefix, key) => (
+      this.isSensitiveKey(key) ? `${prefix}"${this.censor}"` : match
+    ));
+    for (const { pattern, test } of this.patterns) {
+      result = result.replace(pattern, match => (!test || test(match) ? this.censor : match));
+    }
+    return result;
+  }
+
+  headersObject(headers = {}) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+      name,
+      this.headers.has(normalizeKey(name)) ? this.censor : this.value(value)
+    ]));
+  }
+
+  // Deep copy with sensitive keys, paths and patterns masked; other objects (Errors, Dates, Measures) pass through
+  value(value, path = []) {
+    if (typeof value === 'string') return this.string(value);
+    if (Array.isArray(value)) return value.map((item, i) => this.value(item, [...path, String(i)]));
+    if (!value || typeof value !== 'object' || ![Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+      return value;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      const itemPath = [...path, normalizeKey(key)];
+      const sensitive = this.isSensitiveKey(key) || this.matchesPath(itemPath);
+      return [key, sensitive && item !== undefined && item !== null ? this.censor : this.value(item, itemPath)];
+    }));
+  }
+}
+
+// Accepts true / undefined (defaults), false (off), an options object or a Redactor
+function createRedactor(options) {
+  if (options === false) return null;
+  if (options instanceof Redactor) return options;
+  return new Redactor(options === true || options === undefined ? {} : options);
+}
+
+Redactor.DEFAULT_HEADERS = DEFAULT_HEADERS;
+Redactor.DEFAULT_PATHS = DEFAULT_PATHS;
+Redactor.DEFAULT_PATTERNS = DEFAULT_PATTERNS;
+
+module.exports = {
+  Redactor,
+  createRedactor
+};
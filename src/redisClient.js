@@ -0,0 +1,199 @@
+const net = require('net');
+const { EventEmitter } = require('events');
+
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+// Minimal RESP client so Redis-backed features stay dependency free
+class RedisClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      host: options.host || '127.0.0.1',
+      port: options.port || 6379,
+      path: options.path || null,
+      password: options.password || null,
+      username: options.username || null,
+      db: options.db || 0,
+      connectTimeout: options.connectTimeout || 5000
+    };
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = this.options.path
+        ? net.createConnection(this.options.path)
+        : net.createConnection(this.options.port, this.options.host);
+
+      const timeout = setTimeout(() => {
+        socket.destroy(new Error('Redis connection timeout'));
+      }, this.options.connectTimeout);
+
+      socket.on('connect', () => {
+        clearTimeout(timeout);
+        resolve(socket);
+      });
+
+      socket.on('data', (chunk) => this.onData(chunk));
+
+      socket.on('error', (error) => {
+        clearTimeout(timeout);
+        reject(error);
+        this.failPending(error);
+        if (this.listenerCount('error')) this.emit('error', error);
+      });
+
+      socket.on('close', () => {
+        this.connecting = null;
+        this.socket = null;
+        this.failPending(new RedisError('Connection closed'));
+        this.emit('close');
+      });
+
+      this.socket = socket;
+    }).then(async (socket) => {
+      if (this.options.password) {
+        const auth = this.options.username
+          ? ['AUTH', this.options.username, this.options.password]
+          : ['AUTH', this.options.password];
+        await this.send(auth);
+      }
+      if (this.options.db) {
+        await this.send(['SELECT', this.options.db]);
+      }
+      return socket;
+    });
+
+    // Let the next command retry instead of reusing a failed attempt
+    this.connecting.catch(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  async command(args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  // Sends several commands without waiting for each reply: one round-trip instead of one per command
+  async pipeline(commands) {
+    await this.connect();
+    return Promise.all(commands.map(args => this.send(args)));
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(this.encode(args));
+    });
+  }
+
+  encode(args) {
+    const parts = [`*${args.length}\r\n`];
+    for (const arg of args) {
+      const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+      parts.push(`$${value.length}\r\n`, value, '\r\n');
+    }
+    return Buffer.concat(parts.map(part => Buffer.isBuffer(part) ? part : Buffer.from(part)));
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length) {
+      const parsed = this.parse(this.buffer, 0);
+      if (!parsed) return;
+
+      this.buffer = this.buffer.subarray(parsed.offset);
+      this.onReply(parsed.value);
+    }
+  }
+
+  onReply(reply) {
+    const request = this.pending.shift();
+
+    if (!request) {
+      this.emit('push', reply);
+      return;
+    }
+
+    if (reply instanceof RedisError) {
+      request.reject(reply);
+    } else {
+      request.resolve(reply);
+    }
+  }
+
+  // Returns { value, offset } or null when the buffer holds an incomplete reply
+  parse(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new RedisError(line), offset: next };
+      case ':':
+        return { value: Number(line), offset: next };
+      case '$': {
+        const length = Number(line);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const length = Number(line);
+        if (length === -1) return { value: null, offset: next };
+
+        const items = [];
+        let position = next;
+        for (let i = 0; i < length; i++) {
+          const item = this.parse(buffer, position);
+          if (!item) return null;
+          items.push(item.value);
+          position = item.offset;
+        }
+        return { value: items, offset: position };
+      }
+      default:
+        throw new RedisError(`Unknown reply type: ${type}`);
+    }
+  }
+
+  failPending(error) {
+    const pending = this.pending;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    pending.forEach(request => request.reject(error));
+  }
+
+  async close() {
+    if (!this.socket) return;
+
+    const socket = this.socket;
+    await this.send(['QUIT']).catch(() => {});
+    socket.destroy();
+  }
+}
+
+RedisClient.RedisError = RedisError;
+
+module.exports = RedisClient;
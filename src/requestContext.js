@@ -0,0 +1,65 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Per-request context ({ requestId, traceId, spanId, traceparent }) that follows
+// the request through callbacks and promises, so code without access to `req`
+// can still log with its ID
+const storage = new AsyncLocalStorage();
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+// Inbound IDs end up in headers and log lines, so only accept short, plain values
+const REQUEST_ID_PATTERN = /^[\w\-.:@/+=]{1,128}$/;
+
+// W3C trace context: version-traceId-parentId-flags, all-zero IDs are invalid
+function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match || match[1] === 'ff') return null;
+
+  const [, version, traceId, parentId, flags] = match;
+  if (/^0+$/.test(traceId) || /^0+$/.test(parentId)) return null;
+  return { version, traceId, parentId, flags };
+}
+
+function isValidRequestId(id) {
+  return typeof id === 'string' && REQUEST_ID_PATTERN.test(id);
+}
+
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Continues an inbound trace (or starts one) with a fresh span for this request
+function createTraceContext(traceparent) {
+  const parent = parseTraceparent(traceparent);
+  const traceId = parent?.traceId || randomHex(16);
+  const spanId = randomHex(8);
+  const flags = parent?.flags || '01';
+
+  return {
+    traceId,
+    spanId,
+    parentId: parent?.parentId || null,
+    traceparent: `00-${traceId}-${spanId}-${flags}`
+  };
+}
+
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+function getContext() {
+  return storage.getStore();
+}
+
+function getRequestId() {
+  return storage.getStore()?.requestId;
+}
+
+module.exports = {
+  run,
+  getContext,
+  getRequestId,
+  parseTraceparent,
+  isValidRequestId,
+  createTraceContext
+};
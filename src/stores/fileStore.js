@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+
+class FileStore {
+  constructor(options = {}) {
+    // A transaction holds the lock for milliseconds, so a lock this old was left by a crashed process.
+    // Waiters must outlast it, or they all time out instead of taking the lock over.
+    const staleLockMs = options.staleLockMs || 2000;
+    this.options = {
+      path: options.path || path.join(process.cwd(), '.express-raw-store.json'),
+      lockTimeout: options.lockTimeout || Math.max(5000, staleLockMs * 2),
+      lockRetryMs: options.lockRetryMs || 10,
+      staleLockMs
+    };
+
+    this.lockPath = `${this.options.path}.lock`;
+    // Serializes operations from this process so they don't fight over the lock file
+    this.queue = Promise.resolve();
+  }
+
+  async readFile() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.options.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return {};
+      throw error;
+    }
+  }
+
+  async writeFile(data) {
+    const tmpPath = `${this.options.path}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+    await fs.promises.rename(tmpPath, this.options.path);
+  }
+
+  async acquireLock() {
+    const deadline = Date.now() + this.options.lockTimeout;
+
+    while (true) {
+      try {
+        const handle = await fs.promises.open(this.lockPath, 'wx');
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // Remove locks left behind by a crashed process
+      try {
+        const stat = await fs.promises.stat(this.lockPath);
+        if (Date.now() - stat.mtimeMs > this.options.staleLockMs) {
+          await fs.promises.unlink(this.lockPath);
+          continue;
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for store lock ${this.lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.options.lockRetryMs));
+    }
+  }
+
+  async releaseLock() {
+    await fs.promises.unlink(this.lockPath).catch(() => {});
+  }
+
+  // Runs fn against the file contents while holding the lock, then writes the result back
+  transaction(fn) {
+    const run = async () => {
+      await this.acquireLock();
+      try {
+        const data = await this.readFile();
+        const result = fn(data);
+        await this.writeFile(data);
+        return result;
+      } finally {
+        await this.releaseLock();
+      }
+    };
+
+    const result = this.queue.then(run, run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  read(data, type, key) {
+    const entry = data[type]?.[key];
+    if (!entry) return undefined;
+
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      delete data[type][key];
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  write(data, type, key, value, ttlMs) {
+    if (value === undefined) {
+      if (data[type]) delete data[type][key];
+      return;
+    }
+
+    data[type] = data[type] || {};
+    data[type][key] = {
+      value,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    };
+  }
+
+  async get(type, key) {
+    return this.read(await this.readFile(), type, key);
+  }
+
+  set(type, key, value, ttlMs) {
+    return this.transaction(data => {
+      this.write(data, type, key, value, ttlMs);
+    });
+  }
+
+  update(type, key, updater, ttlMs) {
+    return this.transaction(data => {
+      const value = updater(this.read(data, type, key));
+      this.write(data, type, key, value, ttlMs);
+      return value;
+    });
+  }
+
+  delete(type, key) {
+    return this.transaction(data => {
+      this.write(data, type, key, undefined);
+    });
+  }
+
+  async entries(type) {
+    const data = await this.readFile();
+    return Object.keys(data[type] || {})
+      .map(key => [key, this.read(data, type, key)])
+      .filter(([, value]) => value !== undefined);
+  }
+
+  clear(type = null) {
+    return this.transaction(data => {
+      for (const name of Object.keys(data)) {
+        if (!type || name === type) delete data[name];
+      }
+    });
+  }
+
+  prune() {
+    return this.transaction(data => {
+      for (const [type, entries] of Object.entries(data)) {
+        for (const key of Object.keys(entries)) {
+          this.read(data, type, key);
+        }
+      }
+    });
+  }
+
+  async close() {
+    await this.queue;
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,9 @@
+// Every store implements the same async interface, keyed by a record type
+// ('requests', 'violations', 'bans', 'penalties') and a client key:
+//   get(type, key), set(type, key, value, ttlMs), update(type, key, updater, ttlMs),
+//   delete(type, key), entries(type), clear(type?), close() and optionally prune()
+module.exports = {
+  MemoryStore: require('./memoryStore'),
+  FileStore: require('./fileStore'),
+  RedisStore: require('./redisStore')
+};
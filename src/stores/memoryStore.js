@@ -0,0 +1,119 @@
+class MemoryStore {
+  constructor(options = {}) {
+    this.options = {
+      maxSize: options.maxSize || 10000
+    };
+
+    this.tables = new Map();
+  }
+
+  // Kept as properties so existing code reading `store.requests.size` still works
+  get requests() {
+    return this.table('requests').values;
+  }
+
+  get violations() {
+    return this.table('violations').values;
+  }
+
+  get bans() {
+    return this.table('bans').values;
+  }
+
+  table(type) {
+    if (!this.tables.has(type)) {
+      this.tables.set(type, { values: new Map(), expiries: new Map() });
+    }
+    return this.tables.get(type);
+  }
+
+  read(type, key) {
+    const table = this.table(type);
+    const expiresAt = table.expiries.get(key);
+
+    if (expiresAt && Date.now() > expiresAt) {
+      table.values.delete(key);
+      table.expiries.delete(key);
+      return undefined;
+    }
+
+    return table.values.get(key);
+  }
+
+  write(type, key, value, ttlMs) {
+    const table = this.table(type);
+
+    if (value === undefined) {
+      table.values.delete(key);
+      table.expiries.delete(key);
+      return;
+    }
+
+    table.values.set(key, value);
+    if (ttlMs) {
+      table.expiries.set(key, Date.now() + ttlMs);
+    } else {
+      table.expiries.delete(key);
+    }
+  }
+
+  async get(type, key) {
+    return this.read(type, key);
+  }
+
+  async set(type, key, value, ttlMs) {
+    this.write(type, key, value, ttlMs);
+  }
+
+  async update(type, key, updater, ttlMs) {
+    const value = updater(this.read(type, key));
+    this.write(type, key, value, ttlMs);
+    return value;
+  }
+
+  async delete(type, key) {
+    this.write(type, key, undefined);
+  }
+
+  async entries(type) {
+    this.prune();
+    return Array.from(this.table(type).values.entries());
+  }
+
+  async clear(type = null) {
+    if (type) {
+      this.tables.delete(type);
+    } else {
+      this.tables.clear();
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+
+    for (const table of this.tables.values()) {
+      for (const [key, expiresAt] of table.expiries.entries()) {
+        if (now > expiresAt) {
+          table.values.delete(key);
+          table.expiries.delete(key);
+        }
+      }
+    }
+
+    // Prevent request counters from growing too large, dropping the ones closest to expiry
+    const requests = this.table('requests');
+    if (requests.values.size > this.options.maxSize) {
+      Array.from(requests.expiries.entries())
+        .sort(([, a], [, b]) => a - b)
+        .slice(0, Math.floor(this.options.maxSize * 0.2))
+        .forEach(([key]) => {
+          requests.values.delete(key);
+          requests.expiries.delete(key);
+        });
+    }
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,136 @@
+const RedisClient = require('../redisClient');
+
+class RedisStore {
+  constructor(options = {}) {
+    this.options = {
+      prefix: options.prefix || 'express-raw:',
+      maxRetries: options.maxRetries || 20,
+      retryDelayMs: options.retryDelayMs || 5,
+      scanCount: options.scanCount || 100,
+      poolSize: options.poolSize || 4
+    };
+
+    this.client = options.client || new RedisClient(options);
+    // WATCH is connection scoped, so transactions run on a small pool of their own connections,
+    // one at a time per connection. Connections open on first use.
+    this.txClients = options.txClients
+      || (options.txClient ? [options.txClient] : null)
+      || Array.from({ length: this.options.poolSize }, () => new RedisClient(options));
+    this.txQueues = this.txClients.map(() => Promise.resolve());
+  }
+
+  // Updates of one key always share a connection, so they queue up instead of failing each other's WATCH
+  txSlot(redisKey) {
+    let hash = 0;
+    for (let i = 0; i < redisKey.length; i++) {
+      hash = (hash * 31 + redisKey.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash) % this.txClients.length;
+  }
+
+  redisKey(type, key) {
+    return `${this.options.prefix}${type}:${key}`;
+  }
+
+  decode(raw) {
+    if (raw === null || raw === undefined) return undefined;
+    return JSON.parse(raw);
+  }
+
+  setArgs(redisKey, value, ttlMs) {
+    const args = ['SET', redisKey, JSON.stringify(value)];
+    if (ttlMs) args.push('PX', Math.max(1, Math.ceil(ttlMs)));
+    return args;
+  }
+
+  async get(type, key) {
+    return this.decode(await this.client.command(['GET', this.redisKey(type, key)]));
+  }
+
+  async set(type, key, value, ttlMs) {
+    await this.client.command(this.setArgs(this.redisKey(type, key), value, ttlMs));
+  }
+
+  // Optimistic WATCH/MULTI/EXEC loop so concurrent processes never lose an update.
+  // Commands are pipelined: WATCH+GET and MULTI+SET+EXEC take one round-trip each.
+  update(type, key, updater, ttlMs) {
+    const redisKey = this.redisKey(type, key);
+    const slot = this.txSlot(redisKey);
+    const client = this.txClients[slot];
+
+    const run = async () => {
+      for (let attempt = 0; attempt < this.options.maxRetries; attempt++) {
+        const [, raw] = await client.pipeline([['WATCH', redisKey], ['GET', redisKey]]);
+
+        let value;
+        try {
+          value = updater(this.decode(raw));
+        } catch (error) {
+          await client.command(['UNWATCH']);
+          throw error;
+        }
+
+        const [, , result] = await client.pipeline([
+          ['MULTI'],
+          value === undefined ? ['DEL', redisKey] : this.setArgs(redisKey, value, ttlMs),
+          ['EXEC']
+        ]);
+        if (result !== null) return value;
+
+        // Another process won the race; back off a little before retrying
+        await new Promise(resolve => setTimeout(resolve, Math.random() * this.options.retryDelayMs * (attempt + 1)));
+      }
+
+      throw new Error(`Too much contention updating ${redisKey}`);
+    };
+
+    const result = this.txQueues[slot].then(run, run);
+    this.txQueues[slot] = result.catch(() => {});
+    return result;
+  }
+
+  async delete(type, key) {
+    await this.client.command(['DEL', this.redisKey(type, key)]);
+  }
+
+  async scan(pattern) {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.client.command([
+        'SCAN', cursor, 'MATCH', pattern, 'COUNT', this.options.scanCount
+      ]);
+      cursor = nextCursor;
+      keys.push(...batch);
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  async entries(type) {
+    const prefix = this.redisKey(type, '');
+    const keys = await this.scan(`${prefix}*`);
+    if (!keys.length) return [];
+
+    const values = await this.client.command(['MGET', ...keys]);
+    return keys
+      .map((redisKey, i) => [redisKey.slice(prefix.length), this.decode(values[i])])
+      .filter(([, value]) => value !== undefined);
+  }
+
+  async clear(type = null) {
+    const pattern = type ? `${this.redisKey(type, '')}*` : `${this.options.prefix}*`;
+    const keys = await this.scan(pattern);
+    if (keys.length) {
+      await this.client.command(['DEL', ...keys]);
+    }
+  }
+
+  async close() {
+    await Promise.all(this.txQueues);
+    await Promise.all([this.client, ...this.txClients].map(client => client.close()));
+  }
+}
+
+module.exports = RedisStore;
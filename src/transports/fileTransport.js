@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const stream = require('stream');
+const util = require('util');
+const Transport = require('./transport');
+
+// stream/promises needs Node 15
+const pipeline = util.promisify(stream.pipeline);
+
+// Start of the UTC period a timestamp falls in, used for date-based rotation
+const PERIODS = {
+  hourly: time => Math.floor(time / 3600000) * 3600000,
+  daily: time => Math.floor(time / 86400000) * 86400000
+};
+
+// Appends to a file and rotates it by size and/or date. Rotated files are named
+// app.log.2024-11-25 (date) or app.log.2024-11-25T19-38-20 (size), optionally
+// gzipped, and only the newest `maxFiles` are kept.
+class FileTransport extends Transport {
+  constructor(options = {}) {
+    super(options);
+    if (!options.path) throw new Error('FileTransport requires a path');
+    if (options.frequency && !PERIODS[options.frequency]) {
+      throw new Error(`Unknown rotation frequency "${options.frequency}", use 'hourly' or 'daily'`);
+    }
+
+    this.file = {
+      path: path.resolve(options.path),
+      maxSize: options.maxSize || 0,          // Bytes, 0 disables size rotation
+      frequency: options.frequency || null,   // 'hourly' | 'daily'
+      maxFiles: options.maxFiles || 0,        // Rotated files to keep, 0 keeps all
+      compress: options.compress || false
+    };
+
+    this.size = null;
+    this.period = null;
+  }
+
+  async open() {
+    await fs.promises.mkdir(path.dirname(this.file.path), { recursive: true });
+    try {
+      const stat = await fs.promises.stat(this.file.path);
+      this.size = stat.size;
+      this.period = this.periodOf(stat.mtimeMs);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.size = 0;
+      this.period = this.periodOf(Date.now());
+    }
+  }
+
+  periodOf(time) {
+    return this.file.frequency ? PERIODS[this.file.frequency](time) : null;
+  }
+
+  needsRotation(bytes, now) {
+    if (this.size === 0) return false;
+    if (this.file.maxSize && this.size + bytes > this.file.maxSize) return true;
+    return this.file.frequency !== null && this.periodOf(now) !== this.period;
+  }
+
+  async write(lines) {
+    if (this.size === null) await this.open();
+
+    const data = `${lines.join('\n')}\n`;
+    const bytes = Buffer.byteLength(data);
+    const now = Date.now();
+
+    if (this.needsRotation(bytes, now)) {
+      await this.rotate(now);
+    }
+
+    await fs.promises.appendFile(this.file.path, data);
+    this.size += bytes;
+    this.period = this.periodOf(now);
+  }
+
+  writeSync(lines) {
+    fs.appendFileSync(this.file.path, `${lines.join('\n')}\n`);
+  }
+
+  rotatedName(now) {
+    const stamp = this.file.frequency && this.periodOf(now) !== this.period
+      ? new Date(this.period).toISOString().slice(0, this.file.frequency === 'hourly' ? 13 : 10)
+      : new Date(now).toISOString().slice(0, 19);
+    return `${this.file.path}.${stamp.replace(/:/g, '-')}`;
+  }
+
+  async rotate(now) {
+    let target = this.rotatedName(now);
+    const suffix = this.file.compress ? '.gz' : '';
+    for (let i = 1; await exists(`${target}${suffix}`); i++) {
+      target = `${this.rotatedName(now)}.${i}`;
+    }
+
+    await fs.promises.rename(this.file.path, target);
+    this.size = 0;
+
+    if (this.file.compress) {
+      await pipeline(fs.createReadStream(target), zlib.createGzip(), fs.createWriteStream(`${target}.gz`));
+      await fs.promises.unlink(target);
+    }
+
+    if (this.file.maxFiles) {
+      await this.prune();
+    }
+  }
+
+  async prune() {
+    const dir = path.dirname(this.file.path);
+    const base = `${path.basename(this.file.path)}.`;
+    const rotated = await Promise.all(
+      (await fs.promises.readdir(dir))
+        .filter(name => name.startsWith(base))
+        .map(async (name) => {
+          const file = path.join(dir, name);
+          return { file, mtime: (await fs.promises.stat(file)).mtimeMs };
+        })
+    );
+
+    const expired = rotated
+      .sort((a, b) => b.mtime - a.mtime || b.file.localeCompare(a.file))
+      .slice(this.file.maxFiles);
+    await Promise.all(expired.map(({ file }) => fs.promises.unlink(file).catch(() => {})));
+  }
+}
+
+async function exists(file) {
+  try {
+    await fs.promises.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,21 @@
+const Transport = require('./transport');
+
+// Hands each entry to a callback as soon as it is logged: fn(entry, line)
+class FunctionTransport extends Transport {
+  constructor(fn, options = {}) {
+    super(options);
+    if (typeof fn !== 'function') throw new Error('FunctionTransport requires a function');
+    this.fn = fn;
+  }
+
+  log(entry, logger) {
+    if (!this.accepts(entry)) return;
+    try {
+      this.fn(entry, this.formatLine(entry, logger));
+    } catch (error) {
+      this.options.onError(error);
+    }
+  }
+}
+
+module.exports = FunctionTransport;
@@ -0,0 +1,32 @@
+// Logger transports. A transport receives every entry at or above its `level`
+// through log(entry, logger), and is flushed with flush()/flushSync() and shut down with close().
+const Transport = require('./transport');
+const StreamTransport = require('./streamTransport');
+const FileTransport = require('./fileTransport');
+const SyslogTransport = require('./syslogTransport');
+const FunctionTransport = require('./functionTransport');
+
+const TYPES = {
+  stream: StreamTransport,
+  file: FileTransport,
+  syslog: SyslogTransport
+};
+
+// Accepts transport instances, plain functions and { type: 'file', ...options } objects
+function createTransport(transport) {
+  if (typeof transport === 'function') return new FunctionTransport(transport);
+  if (typeof transport?.log === 'function') return transport;
+
+  const Type = TYPES[transport?.type];
+  if (!Type) throw new Error(`Unknown transport type "${transport?.type}"`);
+  return new Type(transport);
+}
+
+module.exports = {
+  Transport,
+  StreamTransport,
+  FileTransport,
+  SyslogTransport,
+  FunctionTransport,
+  createTransport
+};
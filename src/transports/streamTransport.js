@@ -0,0 +1,42 @@
+const Transport = require('./transport');
+
+// Writes to any writable stream (process.stdout, a socket, a PassThrough...)
+class StreamTransport extends Transport {
+  constructor(options = {}) {
+    super({ colors: options.stream ? false : process.stdout.isTTY, ...options });
+    this.stream = options.stream || process.stdout;
+    this.endStream = options.end !== false;
+  }
+
+  write(lines) {
+    return new Promise((resolve, reject) => {
+      const onError = error => reject(error);
+      this.stream.once('error', onError);
+
+      // Respect backpressure: wait for 'drain' before the next batch
+      const done = () => {
+        this.stream.removeListener('error', onError);
+        resolve();
+      };
+      if (this.stream.write(`${lines.join('\n')}\n`)) {
+        done();
+      } else {
+        this.stream.once('drain', done);
+      }
+    });
+  }
+
+  writeSync(lines) {
+    this.stream.write(`${lines.join('\n')}\n`);
+  }
+
+  async close() {
+    await super.close();
+    // Never end the process's own stdout/stderr
+    if (this.stream !== process.stdout && this.stream !== process.stderr && this.endStream) {
+      await new Promise(resolve => this.stream.end(resolve));
+    }
+  }
+}
+
+module.exports = StreamTransport;
@@ -0,0 +1,131 @@
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const Transport = require('./transport');
+
+const FACILITIES = {
+  kern: 0, user: 1, mail: 2, daemon: 3, auth: 4, syslog: 5, lpr: 6, news: 7,
+  uucp: 8, cron: 9, authpriv: 10, ftp: 11,
+  local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+};
+
+const SEVERITIES = {
+  fatal: 2,   // critical
+  error: 3,
+  warn: 4,
+  info: 6,
+  debug: 7,
+  trace: 7
+};
+
+// RFC 5424 header fields: printable ASCII without spaces, '-' when empty
+function headerField(value, maxLength) {
+  const clean = String(value ?? '').replace(/[^\x21-\x7e]/g, '').slice(0, maxLength);
+  return clean || '-';
+}
+
+// Sends RFC 5424 messages over UDP, TCP or a unix stream socket. TCP and unix
+// use octet-counting framing (RFC 6587); UDP sends one datagram per message.
+class SyslogTransport extends Transport {
+  constructor(options = {}) {
+    super({ format: 'logfmt', ...options });
+
+    this.syslog = {
+      protocol: options.protocol || (options.path ? 'unix' : 'udp'),
+      host: options.host || '127.0.0.1',
+      port: options.port || 514,
+      path: options.path || null,
+      facility: FACILITIES[options.facility || 'user'] ?? FACILITIES.user,
+      appName: headerField(options.appName || process.title, 48),
+      hostname: headerField(options.hostname || os.hostname(), 255)
+    };
+    if (!['udp', 'tcp', 'unix'].includes(this.syslog.protocol)) {
+      throw new Error(`Unknown syslog protocol "${this.syslog.protocol}"`);
+    }
+    if (this.syslog.protocol === 'unix' && !this.syslog.path) {
+      throw new Error('SyslogTransport over unix requires a path');
+    }
+
+    this.socket = null;
+  }
+
+  formatLine(entry, logger) {
+    const severity = SEVERITIES[entry.level] ?? SEVERITIES.info;
+    const message = super.formatLine(entry, logger).replace(/\n/g, ' ');
+    return [
+      `<${this.syslog.facility * 8 + severity}>1`,
+      entry.timestamp,
+      this.syslog.hostname,
+      this.syslog.appName,
+      process.pid,
+      headerField(entry.event, 32),
+      '-',
+      message
+    ].join(' ');
+  }
+
+  connect() {
+    if (this.socket) return this.socket;
+
+    if (this.syslog.protocol === 'udp') {
+      const type = net.isIPv6(this.syslog.host) ? 'udp6' : 'udp4';
+      this.socket = Promise.resolve(dgram.createSocket(type).unref());
+    } else {
+      this.socket = new Promise((resolve, reject) => {
+        const target = this.syslog.protocol === 'unix'
+          ? { path: this.syslog.path }
+          : { host: this.syslog.host, port: this.syslog.port };
+        const socket = net.connect(target, () => {
+          socket.removeListener('error', reject);
+          resolve(socket.unref());
+        });
+        socket.once('error', reject);
+        // Reconnect on the next write after the connection drops
+        socket.on('close', () => { this.socket = null; });
+        socket.on('error', () => {});
+      });
+    }
+
+    this.socket.catch(() => { this.socket = null; });
+    return this.socket;
+  }
+
+  // Sockets are unref'd between writes so an idle transport never keeps the process alive
+  async write(lines) {
+    const socket = await this.connect();
+    socket.ref();
+
+    try {
+      if (this.syslog.protocol === 'udp') {
+        await Promise.all(lines.map(line => new Promise((resolve, reject) => {
+          socket.send(line, this.syslog.port, this.syslog.host, error => (error ? reject(error) : resolve()));
+        })));
+        return;
+      }
+
+      const data = lines.map(line => `${Buffer.byteLength(line)} ${line}`).join('');
+      await new Promise((resolve, reject) => {
+        socket.write(data, error => (error ? reject(error) : resolve()));
+      });
+    } finally {
+      socket.unref();
+    }
+  }
+
+  async close() {
+    await super.close();
+    if (!this.socket) return;
+
+    const socket = await this.socket.catch(() => null);
+    this.socket = null;
+    if (socket instanceof dgram.Socket) {
+      socket.close();
+    } else if (socket) {
+      await new Promise(resolve => socket.end(resolve));
+    }
+  }
+}
+
+SyslogTransport.FACILITIES = FACILITIES;
+
+module.exports = SyslogTransport;
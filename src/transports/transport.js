@@ -0,0 +1,75 @@
+const { LEVELS } = require('../logFormats');
+
+// Base class for logger transports. Lines are buffered and written in batches
+// after the current tick, so logging never waits on I/O; subclasses implement
+// write(lines) and, where they can, writeSync(lines) for process exit.
+class Transport {
+  constructor(options = {}) {
+    this.options = {
+      format: options.format,        // Defaults to the logger's format
+      level: options.level || 'trace',
+      colors: options.colors ?? false,
+      bufferSize: options.bufferSize || 100,
+      onError: options.onError || (error => console.error(`[express-raw] ${this.constructor.name}: ${error.message}`))
+    };
+
+    this.buffer = [];
+    this.scheduled = false;
+    this.pending = Promise.resolve();
+  }
+
+  accepts(entry) {
+    return (LEVELS[entry.level] ?? LEVELS.info) >= (LEVELS[this.options.level] ?? LEVELS.trace);
+  }
+
+  formatLine(entry, logger) {
+    return logger.formatEntry(entry, this.options.format || logger.config.format, this.options.colors);
+  }
+
+  log(entry, logger) {
+    if (!this.accepts(entry)) return;
+
+    this.buffer.push(this.formatLine(entry, logger));
+    if (this.buffer.length >= this.options.bufferSize) {
+      this.flush();
+    } else if (!this.scheduled) {
+      this.scheduled = true;
+      setImmediate(() => this.flush());
+    }
+  }
+
+  // Batches are written one after another so lines keep their order
+  flush() {
+    this.scheduled = false;
+    if (this.buffer.length) {
+      const lines = this.buffer;
+      this.buffer = [];
+      this.pending = this.pending
+        .then(() => this.write(lines))
+        .catch(error => this.options.onError(error));
+    }
+    return this.pending;
+  }
+
+  // Last resort on process exit, when pending async writes can no longer finish
+  flushSync() {
+    if (!this.buffer.length || !this.writeSync) return;
+    const lines = this.buffer;
+    this.buffer = [];
+    try {
+      this.writeSync(lines);
+    } catch (error) {
+      this.options.onError(error);
+    }
+  }
+
+  async write() {
+    throw new Error(`${this.constructor.name} must implement write(lines)`);
+  }
+
+  async close() {
+    await this.flush();
+  }
+}
+
+module.exports = Transport;
@@ -1,5 +1,10 @@
 module.exports = {
   defaultOptions: {
-    include: null
+    include: null,
+    redact: true,
+    trustProxy: true,
+    proxyCount: 0,
+    trustedProxies: [],
+    proxyHeader: 'x-forwarded-for'
   }
 };
\ No newline at end of file
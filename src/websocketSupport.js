@@ -1,3 +1,8 @@
+const http = require('http');
+const getClientIp = require('./getClientIp');
+const { Measure } = require('./logFormats');
+const { MemoryAdapter } = require('./adapters');
+
 class WebSocketSupport {
     constructor(config = {}) {
       this.config = {
@@ -10,6 +15,12 @@ class WebSocketSupport {
         connectionTimeout: config.connectionTimeout || 10000,
         pingTimeout: config.pingTimeout || 5000,
         
+        // Client IP resolution behind proxies
+        trustProxy: config.trustProxy !== false,
+        proxyCount: config.proxyCount || 0,
+        trustedProxies: config.trustedProxies || [],
+        proxyHeader: config.proxyHeader || 'x-forwarded-for',
+        
         // Security
         rateLimiting: {
           enabled: config.rateLimiting?.enabled !== false,
@@ -22,7 +33,10 @@ class WebSocketSupport {
         auth: {
           enabled: config.auth?.enabled || false,
           handler: config.auth?.handler || null,
-          timeout: config.auth?.timeout || 5000
+          timeout: config.auth?.timeout || 5000,
+          // (identity, connectionId, connection) => identity | false; defaults to re-running handler
+          revalidate: config.auth?.revalidate || null,
+          revalidateInterval: config.auth?.revalidateInterval || 0
         },
   
         // Protocol
@@ -33,8 +47,23 @@ class WebSocketSupport {
         
         // Clustering support
         clustering: {
-          enabled: config.clustering?.enabled || false,
-          channels: config.clustering?.channels || []
+          enabled: config.clustering?.enabled || Boolean(config.clustering?.adapter),
+          channels: config.clustering?.channels || [],
+          adapter: config.clustering?.adapter || null,
+          statsInterval: config.clustering?.statsInterval || 5000
+        },
+  
+        // Event routing & acknowledgements
+        events: {
+          ackTimeout: config.events?.ackTimeout || 10000
+        },
+  
+        // Rooms & pub/sub
+        rooms: {
+          // Off by default: frames reach onMessage untouched unless clients are meant to manage rooms
+          controlFrames: config.rooms?.controlFrames || false,
+          maxRoomsPerConnection: config.rooms?.maxRoomsPerConnection || 100,
+          authorize: config.rooms?.authorize || null
         },
         
         // Event handlers
@@ -58,13 +87,89 @@ class WebSocketSupport {
       };
   
       this.rateLimiters = new Map();
+  
+      // event -> { handler, schema, timeout }
+      this.events = new Map();
+      this.nextRequestId = 1;
+  
+      // room -> { members: Set<connectionId>, messages, bytes, createdAt }
+      this.rooms = new Map();
+      this.config.clustering.channels.forEach(channel => this.createRoom(channel));
+  
+      // nodeId -> latest stats report from other processes
+      this.nodes = new Map();
+      this.adapter = null;
+      if (this.config.clustering.enabled) {
+        this.setupAdapter(this.config.clustering.adapter || new MemoryAdapter());
+      }
+    }
+  
+    setupAdapter(adapter) {
+      this.adapter = adapter;
+      this.adapterReady = adapter.init(message => this.handleAdapterMessage(message))
+        .then(() => this.reportStats())
+        .catch(error => this.handleError(null, error, this.logger));
+  
+      this.statsTimer = setInterval(() => this.reportStats(), this.config.clustering.statsInterval);
+      this.statsTimer.unref();
+    }
+  
+    // Sends to the other nodes; failures are reported but never break local delivery
+    forward(message) {
+      if (!this.adapter) return;
+      Promise.resolve()
+        .then(() => this.adapter.publish(message))
+        .catch(error => this.handleError(null, error, this.logger));
+    }
+  
+    handleAdapterMessage(message) {
+      switch (message.type) {
+        case 'broadcast':
+          this.deliverBroadcast(message.data);
+          break;
+        case 'rooms':
+          this.deliverToRooms(message.rooms, message.data, new Set(message.except));
+          break;
+        case 'stats':
+          this.nodes.set(message.nodeId, { ...message.stats, updatedAt: Date.now() });
+          break;
+        case 'leave':
+          this.nodes.delete(message.nodeId);
+          break;
+      }
+    }
+  
+    reportStats() {
+      this.forward({ type: 'stats', stats: this.getNodeStats() });
+    }
+  
+    getNodeStats() {
+      return {
+        activeConnections: this.stats.activeConnections,
+        totalConnections: this.stats.totalConnections,
+        messagesReceived: this.stats.messagesReceived,
+        messagesSent: this.stats.messagesSent,
+        rooms: Object.fromEntries([...this.rooms].map(([room, entry]) => [room, entry.members.size]))
+      };
     }
   
     middleware(logger) {
+      this.logger = logger;
       return (expressServer) => {
         const WebSocket = require('ws');
+        // With app.ws() routes, upgrades are dispatched through the Express app instead
+        const routed = Boolean(this.app);
         this.wss = new WebSocket.Server({ 
-          server: expressServer,
+          ...(routed ? { noServer: true } : { server: expressServer }),
+          // Routed upgrades authenticate in their Express route instead, so failures are logged as responses
+          ...(this.config.auth.enabled && !routed && {
+            verifyClient: (info, done) => {
+              this.authenticate(info.req, logger).then((failure) => {
+                if (failure) done(false, failure.status, failure.message);
+                else done(true);
+              });
+            }
+          }),
           clientTracking: true,
           perMessageDeflate: this.config.compression,
           maxPayload: this.config.maxBackpressure,
@@ -75,14 +180,23 @@ class WebSocketSupport {
         });
   
         this.setupServer(logger);
+        if (routed) {
+          expressServer.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+        }
         return this.wss;
       };
     }
   
     setupServer(logger) {
+      // Cookies set by Express middleware during the upgrade (sessions) go out with the 101 response
+      this.wss.on('headers', (headers, req) => {
+        const cookies = req[UPGRADE]?.cookies;
+        if (cookies) [].concat(cookies).forEach(cookie => headers.push(`Set-Cookie: ${cookie}`));
+      });
+  
       this.wss.on('connection', async (ws, req) => {
         const connectionId = this.generateConnectionId();
-        const ip = req.socket.remoteAddress;
+        const ip = getClientIp(req, this.config);
   
         try {
           // Check connection limits
@@ -98,21 +212,6 @@ class WebSocketSupport {
             }
           }
   
-          // Authentication
-          if (this.config.auth.enabled) {
-            const authTimeout = setTimeout(() => {
-              ws.close(4000, 'Authentication timeout');
-            }, this.config.auth.timeout);
-  
-            try {
-              await this.config.auth.handler(req);
-              clearTimeout(authTimeout);
-            } catch (error) {
-              clearTimeout(authTimeout);
-              throw new Error('Authentication failed');
-            }
-          }
-  
           // Setup connection
           this.setupConnection(ws, req, connectionId, logger);
   
@@ -130,14 +229,16 @@ class WebSocketSupport {
           }
   
           // Custom connection handler
-          this.config.onConnection?.(ws, req, connectionId);
+          const identity = req[IDENTITY] ?? null;
+          this.config.onConnection?.(ws, req, connectionId, identity);
+          await req[UPGRADE]?.handler(ws, req, connectionId, identity);
   
         } catch (error) {
           if (logger?.config.enabled.websocket) {
             logger.log('WEBSOCKET', '❌', 'Connection failed', {
               Error: error.message,
               IP: ip
-            });
+            }, { level: 'error' });
           }
           ws.close(4000, error.message);
         }
@@ -148,14 +249,32 @@ class WebSocketSupport {
       // Store connection info
       this.connections.set(connectionId, {
         ws,
-        ip: req.socket.remoteAddress,
+        ip: getClientIp(req, this.config),
         connectTime: Date.now(),
         lastPing: Date.now(),
         messageCount: 0,
         bytesReceived: 0,
-        bytesSent: 0
+        bytesSent: 0,
+        rooms: new Set(),
+        route: req[UPGRADE]?.path || null,
+        params: req.params || {},
+        // Whatever auth.handler resolved with (user id, roles), set before the socket opened
+        identity: req[IDENTITY] ?? null,
+        // Only kept when credentials are re-checked by re-running auth.handler
+        req: this.config.auth.revalidateInterval && !this.config.auth.revalidate ? req : null,
+        expiryTimer: null,
+        revalidateTimer: null,
+        // Server-initiated requests awaiting the client's ack, by id
+        pending: new Map()
       });
   
+      this.scheduleExpiry(connectionId, logger);
+      if (this.config.auth.enabled && this.config.auth.revalidateInterval) {
+        this.connections.get(connectionId).revalidateTimer = setInterval(() => {
+          this.revalidate(connectionId, logger);
+        }, this.config.auth.revalidateInterval);
+      }
+  
       // Setup heartbeat
       const pingInterval = setInterval(() => {
         if (Date.now() - this.connections.get(connectionId).lastPing > this.config.pingTimeout) {
@@ -193,6 +312,181 @@ class WebSocketSupport {
       });
     }
   
+    // Express routing
+  
+    // Adds app.ws(path, ...middleware, handler); handler is called as (ws, req, connectionId).
+    // The routes live in a router at this point of the app's stack, so middleware added before
+    // mount() runs for upgrades and they take precedence over HTTP routes added later.
+    mount(app) {
+      this.app = app;
+      const express = require('express');
+      this.router = express.Router();
+      app.use(this.router);
+      app.ws = (path, ...handlers) => {
+        this.route(path, ...handlers);
+        return app;
+      };
+      return app;
+    }
+  
+    route(path, ...handlers) {
+      if (!this.router) throw new Error('Call mount(app) before adding WebSocket routes');
+  
+      const handler = handlers.pop();
+      // Plain GET requests to the same path skip these routes
+      const onlyUpgrades = (req, res, next) => next(req[UPGRADE] ? undefined : 'route');
+  
+      this.router.get(path, onlyUpgrades, ...handlers, async (req, res) => {
+        if (this.config.auth.enabled) {
+          const failure = await this.authenticate(req, this.logger);
+          if (failure) {
+            res.status(failure.status).type('text').send(failure.message);
+            return;
+          }
+        }
+  
+        const upgrade = req[UPGRADE];
+        upgrade.path = req.route?.path || path;
+        upgrade.handler = handler;
+        upgrade.cookies = res.getHeader('set-cookie');
+        upgrade.accepted = true;
+  
+        res.detachSocket(upgrade.socket);
+        this.wss.handleUpgrade(req, upgrade.socket, upgrade.head, (ws) => {
+          this.wss.emit('connection', ws, req);
+        });
+  
+        // Lets request loggers and on-finished listeners see the upgrade as a completed request
+        res.statusCode = 101;
+        res.emit('finish');
+      });
+    }
+  
+    // Runs the upgrade request through the app. Anything no app.ws() route accepts gets the
+    // app's normal HTTP response (404 for unknown paths) and the socket is closed.
+    handleUpgrade(req, socket, head) {
+      const res = new http.ServerResponse(req);
+      res.assignSocket(socket);
+      req[UPGRADE] = { socket, head, accepted: false };
+  
+      res.on('finish', () => {
+        if (!req[UPGRADE].accepted) socket.end();
+      });
+      socket.on('error', () => socket.destroy());
+  
+      this.app.handle(req, res);
+    }
+  
+    // Authentication
+  
+    // Runs auth.handler before the handshake. Returns null on success (the identity is kept on req)
+    // or { status, message } for the HTTP response. Throwing or resolving false rejects the client.
+    async authenticate(req, logger) {
+      const { handler, timeout } = this.config.auth;
+      let timer;
+      let failure = null;
+  
+      try {
+        const identity = await Promise.race([
+          handler(req),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Authentication timeout')), timeout);
+          })
+        ]);
+        if (identity === false) {
+          failure = { status: 401, message: http.STATUS_CODES[401] };
+        } else if (expiryOf(identity) <= Date.now()) {
+          failure = { status: 401, message: http.STATUS_CODES[401], reason: 'Credentials expired' };
+        } else {
+          req[IDENTITY] = identity ?? null;
+        }
+      } catch (error) {
+        const status = error.status || error.statusCode;
+        const code = status >= 400 && status < 600 ? status : 401;
+        // Like errorMiddleware, only errors marked expose: true show their message to clients
+        failure = { status: code, message: error.expose ? error.message : http.STATUS_CODES[code], reason: error.message };
+      } finally {
+        clearTimeout(timer);
+      }
+  
+      if (failure && logger?.config.enabled.websocket) {
+        logger.log('WEBSOCKET', '🔒', 'Authentication failed', {
+          IP: getClientIp(req, this.config),
+          Path: (req.url || '').split('?')[0],
+          Status: failure.status,
+          Reason: failure.reason || failure.message
+        }, { level: 'warn', req });
+      }
+      return failure;
+    }
+  
+    // Replaces a connection's identity, e.g. after the client sent a refreshed token
+    setIdentity(connectionId, identity, logger) {
+      const connection = this.connections.get(connectionId);
+      if (!connection) return false;
+  
+      connection.identity = identity;
+      this.scheduleExpiry(connectionId, logger);
+      return true;
+    }
+  
+    // Closes the connection when the identity's expiresAt (ms or Date) or JWT-style exp (seconds) passes
+    scheduleExpiry(connectionId, logger) {
+      const connection = this.connections.get(connectionId);
+      clearTimeout(connection.expiryTimer);
+      connection.expiryTimer = null;
+  
+      const expiry = expiryOf(connection.identity);
+      if (!Number.isFinite(expiry)) return;
+  
+      // setTimeout overflows past ~24.8 days; re-check then instead
+      const delay = Math.max(0, expiry - Date.now());
+      connection.expiryTimer = setTimeout(() => {
+        if (delay > MAX_TIMEOUT) this.scheduleExpiry(connectionId, logger);
+        else this.revoke(connectionId, 'Credentials expired', logger);
+      }, Math.min(delay, MAX_TIMEOUT));
+    }
+  
+    async revalidate(connectionId, logger) {
+      const connection = this.connections.get(connectionId);
+      if (!connection) return;
+  
+      const { revalidate, handler } = this.config.auth;
+      let identity;
+      try {
+        identity = revalidate
+          ? await revalidate(connection.identity, connectionId, connection)
+          : await handler(connection.req);
+      } catch {
+        identity = false;
+      }
+  
+      if (!this.connections.has(connectionId)) return;
+      if (identity === false) {
+        this.revoke(connectionId, 'Credentials revoked', logger);
+      } else if (identity !== undefined && identity !== null) {
+        this.setIdentity(connectionId, identity, logger);
+      }
+    }
+  
+    revoke(connectionId, reason, logger) {
+      const connection = this.connections.get(connectionId);
+      if (!connection) return;
+  
+      if (logger?.config.enabled.websocket) {
+        logger.log('WEBSOCKET', '🔒', reason, {
+          ConnectionId: connectionId,
+          IP: connection.ip
+        }, { level: 'warn' });
+      }
+      connection.ws.close(4001, reason);
+    }
+  
+    clearAuthTimers(connection) {
+      clearTimeout(connection.expiryTimer);
+      clearInterval(connection.revalidateTimer);
+    }
+  
     handleMessage(connectionId, data, logger) {
       const connection = this.connections.get(connectionId);
       if (!connection) return;
@@ -217,13 +511,47 @@ class WebSocketSupport {
       if (logger?.config.enabled.websocket) {
         logger.log('WEBSOCKET', '📥', 'Message received', {
           ConnectionId: connectionId,
-          Size: `${data.length} bytes`,
+          Size: new Measure(data.length, 'bytes'),
           MessageCount: connection.messageCount
         });
       }
   
+      const routing = this.events.size > 0;
+      const frame = routing || this.config.rooms.controlFrames || connection.pending.size > 0
+        ? this.parseFrame(data)
+        : null;
+  
+      // subscribe / unsubscribe / publish frames are handled here and not passed on
+      if (this.config.rooms.controlFrames && CONTROL_TYPES.includes(frame?.type)) {
+        this.handleControlFrame(connectionId, frame, logger);
+        return;
+      }
+  
+      // Replies to request(); late ones are dropped
+      if (frame?.ack !== undefined && frame.event === undefined && (routing || connection.pending.has(frame.ack))) {
+        this.handleAck(connection, frame);
+        return;
+      }
+  
+      if (routing) {
+        if (frame && this.events.has(frame.event)) {
+          this.routeEvent(connectionId, frame, logger);
+          return;
+        }
+  
+        // Without a raw handler to fall back on, anything unrouted is an error for the client
+        if (!this.config.onMessage) {
+          if (frame && typeof frame.event === 'string') {
+            this.sendError(connectionId, frame.id, 'UNKNOWN_EVENT', `Unknown event: ${frame.event}`);
+          } else {
+            this.sendError(connectionId, frame?.id, 'BAD_FRAME', 'Expected a JSON object with an "event" field');
+          }
+          return;
+        }
+      }
+  
       // Custom message handler
-      this.config.onMessage?.(data, connection.ws, connectionId);
+      this.config.onMessage?.(data, connection.ws, connectionId, connection.identity);
     }
   
     handleError(connectionId, error, logger) {
@@ -234,7 +562,7 @@ class WebSocketSupport {
           ConnectionId: connectionId,
           Error: error.message,
           Stack: error.stack
-        });
+        }, { level: 'error' });
       }
   
       // Custom error handler
@@ -246,6 +574,12 @@ class WebSocketSupport {
       if (!connection) return;
   
       this.stats.activeConnections--;
+      this.clearAuthTimers(connection);
+      this.leaveAll(connectionId);
+      connection.pending.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(new Error('Connection closed'));
+      });
       this.connections.delete(connectionId);
       
       if (logger?.config.enabled.websocket) {
@@ -253,7 +587,7 @@ class WebSocketSupport {
           ConnectionId: connectionId,
           Code: code,
           Reason: reason,
-          Duration: `${Date.now() - connection.connectTime}ms`,
+          Duration: new Measure(Date.now() - connection.connectTime, 'ms'),
           MessagesReceived: connection.messageCount
         });
       }
@@ -262,25 +596,333 @@ class WebSocketSupport {
       this.config.onClose?.(connectionId, code, reason);
     }
   
+    // Filters can't run in other processes, so filtered broadcasts stay on this node
     broadcast(data, filter = null) {
+      const message = this.encode(data);
+      if (!filter) this.forward({ type: 'broadcast', data: message });
+      return this.deliverBroadcast(message, filter);
+    }
+  
+    deliverBroadcast(message, filter = null) {
       let sent = 0;
-      const message = Buffer.from(data);
   
       this.connections.forEach((connection, connectionId) => {
         if (filter && !filter(connection, connectionId)) return;
-        
-        if (connection.ws.readyState === WebSocket.OPEN) {
-          connection.ws.send(message);
-          connection.bytesSent += message.length;
-          this.stats.messagesSent++;
-          this.stats.bandwidth.out += message.length;
-          sent++;
-        }
+        if (this.sendMessage(connection, message)) sent++;
       });
   
       return sent;
     }
   
+    // Sends to a single connection; objects are sent as JSON text
+    send(connectionId, data) {
+      const connection = this.connections.get(connectionId);
+      return connection ? this.sendMessage(connection, this.encode(data)) : false;
+    }
+  
+    sendMessage(connection, message) {
+      if (connection.ws.readyState !== connection.ws.OPEN) return false;
+  
+      const size = Buffer.byteLength(message);
+      connection.ws.send(message);
+      connection.bytesSent += size;
+      this.stats.messagesSent++;
+      this.stats.bandwidth.out += size;
+      return true;
+    }
+  
+    encode(data) {
+      if (typeof data === 'string' || Buffer.isBuffer(data) || ArrayBuffer.isView(data) || data instanceof ArrayBuffer) {
+        return data;
+      }
+      return JSON.stringify(data);
+    }
+  
+    // Events
+  
+    // wsSupport.on('chat:send', async (data, ctx) => reply, { schema, timeout })
+    on(event, handler, options = {}) {
+      this.events.set(event, { handler, schema: options.schema || null, timeout: options.timeout || this.config.events.ackTimeout });
+      return this;
+    }
+  
+    off(event) {
+      this.events.delete(event);
+      return this;
+    }
+  
+    emit(connectionId, event, data) {
+      return this.send(connectionId, { event, data });
+    }
+  
+    // Sends { event, data, id } and resolves with the data of the client's { ack: id, data } reply
+    request(connectionId, event, data, options = {}) {
+      const connection = this.connections.get(connectionId);
+      if (!connection) return Promise.reject(new Error('Unknown connection'));
+  
+      const id = this.nextRequestId++;
+      const timeout = options.timeout || this.config.events.ackTimeout;
+  
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          connection.pending.delete(id);
+          reject(new Error(`No ack for ${event} within ${timeout}ms`));
+        }, timeout);
+  
+        connection.pending.set(id, { resolve, reject, timer });
+        if (!this.sendMessage(connection, this.encode({ event, data, id }))) {
+          clearTimeout(timer);
+          connection.pending.delete(id);
+          reject(new Error('Connection is not open'));
+        }
+      });
+    }
+  
+    handleAck(connection, frame) {
+      const request = connection.pending.get(frame.ack);
+      if (!request) return;
+  
+      clearTimeout(request.timer);
+      connection.pending.delete(frame.ack);
+      if (frame.error) {
+        request.reject(Object.assign(new Error(frame.error.message || 'Request failed'), { code: frame.error.code }));
+      } else {
+        request.resolve(frame.data);
+      }
+    }
+  
+    // { event, data, id? }: the handler's result is sent back as { ack: id, data } when an id is given
+    async routeEvent(connectionId, frame, logger) {
+      const connection = this.connections.get(connectionId);
+      const { handler, schema, timeout } = this.events.get(frame.event);
+      const { event, id } = frame;
+  
+      let data = frame.data;
+      if (schema) {
+        const result = validate(schema, data);
+        if (!result.valid) {
+          this.sendError(connectionId, id, 'VALIDATION_FAILED', `Invalid data for ${event}`, result.errors);
+          return;
+        }
+        data = result.value;
+      }
+  
+      const context = {
+        connectionId,
+        event,
+        ws: connection.ws,
+        connection,
+        identity: connection.identity,
+        emit: (name, payload) => this.emit(connectionId, name, payload),
+        join: room => this.join(connectionId, room, logger),
+        leave: room => this.leave(connectionId, room, logger)
+      };
+  
+      let timer;
+      try {
+        const result = await Promise.race([
+          handler(data, context),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(Object.assign(new Error(`Handler for ${event} timed out`), { code: 'TIMEOUT' })), timeout);
+          })
+        ]);
+        if (id !== undefined) this.send(connectionId, { ack: id, data: result });
+      } catch (error) {
+        if (error.code === 'TIMEOUT') {
+          this.sendError(connectionId, id, 'TIMEOUT', error.message);
+          return;
+        }
+  
+        this.handleError(connectionId, error, logger);
+        // Like errorMiddleware, only errors marked expose: true show their message to clients
+        this.sendError(connectionId, id, error.expose ? error.code || 'HANDLER_ERROR' : 'HANDLER_ERROR',
+          error.expose ? error.message : 'Internal error');
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  
+    // Errors answer the request when the frame had an id, otherwise they arrive as an 'error' event
+    sendError(connectionId, id, code, message, details) {
+      const error = { code, message, ...(details && { details }) };
+      return this.send(connectionId, id !== undefined ? { ack: id, error } : { event: 'error', error });
+    }
+  
+    // Rooms
+  
+    createRoom(room) {
+      if (!this.rooms.has(room)) {
+        this.rooms.set(room, { members: new Set(), messages: 0, bytes: 0, createdAt: Date.now() });
+      }
+      return this.rooms.get(room);
+    }
+  
+    join(connectionId, room, logger) {
+      const connection = this.connections.get(connectionId);
+      if (!connection) return false;
+      if (connection.rooms.has(room)) return true;
+  
+      if (connection.rooms.size >= this.config.rooms.maxRoomsPerConnection) {
+        throw new Error('Room limit reached');
+      }
+  
+      this.createRoom(room).members.add(connectionId);
+      connection.rooms.add(room);
+  
+      if (logger?.config.enabled.websocket) {
+        logger.log('WEBSOCKET', '🚪', `Joined room ${room}`, {
+          ConnectionId: connectionId,
+          Room: room,
+          Members: this.rooms.get(room).members.size
+        }, { level: 'debug' });
+      }
+      return true;
+    }
+  
+    leave(connectionId, room, logger) {
+      const connection = this.connections.get(connectionId);
+      const entry = this.rooms.get(room);
+      if (!connection?.rooms.has(room) || !entry) return false;
+  
+      connection.rooms.delete(room);
+      entry.members.delete(connectionId);
+  
+      // Declared channels stay around so they always show up in stats
+      if (entry.members.size === 0 && !this.config.clustering.channels.includes(room)) {
+        this.rooms.delete(room);
+      }
+  
+      if (logger?.config.enabled.websocket) {
+        logger.log('WEBSOCKET', '🚪', `Left room ${room}`, {
+          ConnectionId: connectionId,
+          Room: room,
+          Members: entry.members.size
+        }, { level: 'debug' });
+      }
+      return true;
+    }
+  
+    leaveAll(connectionId, logger) {
+      const connection = this.connections.get(connectionId);
+      if (!connection) return;
+      [...connection.rooms].forEach(room => this.leave(connectionId, room, logger));
+    }
+  
+    getRooms(connectionId) {
+      return [...(this.connections.get(connectionId)?.rooms || [])];
+    }
+  
+    getRoomMembers(room) {
+      return [...(this.rooms.get(room)?.members || [])];
+    }
+  
+    // wsSupport.toRoom('chat').except(connectionId).send({ text: 'hi' })
+    toRoom(rooms) {
+      const targets = Array.isArray(rooms) ? rooms : [rooms];
+      const excluded = new Set();
+  
+      const target = {
+        except: (connectionIds) => {
+          (Array.isArray(connectionIds) ? connectionIds : [connectionIds]).forEach(id => excluded.add(id));
+          return target;
+        },
+        send: data => this.sendToRooms(targets, data, excluded),
+        emit: (event, data) => this.sendToRooms(targets, { event, data }, excluded)
+      };
+      return target;
+    }
+  
+    // Returns the number of local connections reached; other nodes deliver to their own members
+    sendToRooms(rooms, data, excluded = new Set()) {
+      const message = this.encode(data);
+      this.forward({ type: 'rooms', rooms, except: [...excluded], data: message });
+      return this.deliverToRooms(rooms, message, excluded);
+    }
+  
+    deliverToRooms(rooms, message, excluded = new Set()) {
+      const size = Buffer.byteLength(message);
+      const delivered = new Set();
+  
+      rooms.forEach((room) => {
+        const entry = this.rooms.get(room);
+        if (!entry) return;
+  
+        entry.members.forEach((connectionId) => {
+          // A connection in several of the target rooms gets the message once
+          if (excluded.has(connectionId) || delivered.has(connectionId)) return;
+          const connection = this.connections.get(connectionId);
+          if (connection && this.sendMessage(connection, message)) {
+            delivered.add(connectionId);
+            entry.messages++;
+            entry.bytes += size;
+          }
+        });
+      });
+  
+      return delivered.size;
+    }
+  
+    // Topic messages reach subscribers as { type: 'message', room, data }
+    publish(room, data, options = {}) {
+      return this.toRoom(room).except(options.except || []).send({ type: 'message', room, data });
+    }
+  
+    // JSON object frames; null for binary data, plain text or invalid JSON
+    parseFrame(data) {
+      const text = Buffer.isBuffer(data) ? data.toString() : String(data);
+      if (!text.trimStart().startsWith('{')) return null;
+  
+      try {
+        const frame = JSON.parse(text);
+        return frame && typeof frame === 'object' && !Array.isArray(frame) ? frame : null;
+      } catch {
+        return null;
+      }
+    }
+  
+    // Control frames: { "type": "subscribe" | "unsubscribe" | "publish", "room": "news", "data": ... }
+    async handleControlFrame(connectionId, frame, logger) {
+      const connection = this.connections.get(connectionId);
+      const { type, room } = frame;
+      // The connection may have closed while authorize() was pending
+      const reply = message => this.connections.has(connectionId)
+        && this.sendMessage(connection, this.encode({ ...message, room }));
+  
+      try {
+        if (typeof room !== 'string' || !room) {
+          throw new Error('Room name required');
+        }
+  
+        // Clients only reach declared channels or rooms authorize() allows, never server-managed
+        // rooms (user:42) by default; the server can still join() anything
+        const { channels } = this.config.clustering;
+        if (channels.length > 0 && !channels.includes(room)) {
+          throw new Error('Unknown room');
+        }
+        if (channels.length === 0 && !this.config.rooms.authorize) {
+          throw new Error('Not allowed');
+        }
+  
+        if (this.config.rooms.authorize) {
+          const allowed = await this.config.rooms.authorize(connectionId, room, type, connection);
+          if (!allowed) throw new Error('Not allowed');
+        }
+  
+        if (type === 'subscribe') {
+          this.join(connectionId, room, logger);
+          reply({ type: 'subscribed' });
+        } else if (type === 'unsubscribe') {
+          this.leave(connectionId, room, logger);
+          reply({ type: 'unsubscribed' });
+        } else {
+          if (!connection.rooms.has(room)) throw new Error('Not subscribed');
+          this.publish(room, frame.data, { except: connectionId });
+        }
+      } catch (error) {
+        reply({ type: 'error', action: type, error: error.message });
+      }
+    }
+  
     generateConnectionId() {
       return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     }
@@ -305,16 +947,104 @@ class WebSocketSupport {
     getStats() {
       return {
         ...this.stats,
+        ...(this.adapter && { cluster: this.getClusterStats() }),
+        rooms: Object.fromEntries([...this.rooms].map(([room, entry]) => [room, {
+          members: entry.members.size,
+          messages: entry.messages,
+          bytes: entry.bytes,
+          createdAt: entry.createdAt
+        }])),
         timestamp: Date.now(),
         memoryUsage: process.memoryUsage()
       };
     }
   
-    close() {
+    // Connection counts summed over this node and every node that reported recently
+    getClusterStats() {
+      const now = Date.now();
+      const expiry = this.config.clustering.statsInterval * 3;
+      this.nodes.forEach((node, nodeId) => {
+        if (now - node.updatedAt > expiry) this.nodes.delete(nodeId);
+      });
+  
+      const nodes = { [this.adapter.nodeId]: { ...this.getNodeStats(), updatedAt: now }, ...Object.fromEntries(this.nodes) };
+      const totals = { activeConnections: 0, totalConnections: 0, messagesReceived: 0, messagesSent: 0, rooms: {} };
+      Object.values(nodes).forEach((node) => {
+        totals.activeConnections += node.activeConnections;
+        totals.totalConnections += node.totalConnections;
+        totals.messagesReceived += node.messagesReceived;
+        totals.messagesSent += node.messagesSent;
+        Object.entries(node.rooms || {}).forEach(([room, members]) => {
+          totals.rooms[room] = (totals.rooms[room] || 0) + members;
+        });
+      });
+  
+      return {
+        nodeId: this.adapter.nodeId,
+        nodeCount: Object.keys(nodes).length,
+        ...totals,
+        nodes
+      };
+    }
+  
+    async close() {
       this.wss?.close();
+      this.connections.forEach(connection => this.clearAuthTimers(connection));
       this.connections.clear();
       this.rateLimiters.clear();
+      this.rooms.clear();
+      this.config.clustering.channels.forEach(channel => this.createRoom(channel));
+  
+      clearInterval(this.statsTimer);
+      if (this.adapter) {
+        const adapter = this.adapter;
+        this.adapter = null;
+        // Let the other nodes drop this one from their stats right away
+        await this.adapterReady;
+        await Promise.resolve(adapter.publish({ type: 'leave' })).catch(() => {});
+        await adapter.close();
+      }
+    }
+  }
+  
+  const CONTROL_TYPES = ['subscribe', 'unsubscribe', 'publish'];
+  const UPGRADE = Symbol('websocketUpgrade');
+  const IDENTITY = Symbol('websocketIdentity');
+  const MAX_TIMEOUT = 2 ** 31 - 1;
+  
+  // Schemas are validator functions (returning true, false, or a list of errors; Ajv's compiled
+  // functions fit) or objects with safeParse() (zod) or validate() (joi)
+  function validate(schema, data) {
+    try {
+      if (typeof schema.safeParse === 'function') {
+        const result = schema.safeParse(data);
+        return result.success
+          ? { valid: true, value: result.data }
+          : { valid: false, errors: result.error?.issues || [String(result.error)] };
+      }
+  
+      if (typeof schema.validate === 'function') {
+        const result = schema.validate(data);
+        return result.error
+          ? { valid: false, errors: result.error.details?.map(detail => detail.message) || [result.error.message] }
+          : { valid: true, value: result.value === undefined ? data : result.value };
+      }
+  
+      const result = schema(data);
+      if (result === true || result === undefined) return { valid: true, value: data };
+      if (result === false) return { valid: false, errors: schema.errors || [] };
+      return { valid: false, errors: Array.isArray(result) ? result : [String(result)] };
+    } catch (error) {
+      return { valid: false, errors: [error.message] };
     }
   }
   
+  // expiresAt as ms or a Date, or a JWT-style exp in seconds; NaN when the identity doesn't expire
+  function expiryOf(identity) {
+    const { expiresAt, exp } = identity && typeof identity === 'object' ? identity : {};
+    if (expiresAt !== undefined) return new Date(expiresAt).getTime();
+    if (exp !== undefined) return Number(exp) * 1000;
+    return NaN;
+  }
+  
   module.exports = WebSocketSupport;
\ No newline at end of file
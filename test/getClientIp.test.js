@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const getClientIp = require('../src/getClientIp');
+
+function request({ socket = '10.0.0.1', ip = socket, headers = {} } = {}) {
+  return { socket: { remoteAddress: socket }, ip, headers };
+}
+
+test('getClientIp without a proxy setup', async (t) => {
+  await t.test('defers to req.ip and ignores forwarding headers', () => {
+    const req = request({ socket: '172.17.0.1', headers: { 'x-forwarded-for': '6.6.6.6' } });
+    assert.strictEqual(getClientIp(req), '172.17.0.1');
+    assert.strictEqual(getClientIp(req, { trustProxy: true }), '172.17.0.1');
+  });
+
+  await t.test('uses the address Express resolved with its own trust proxy setting', () => {
+    const req = request({ socket: '10.0.0.1', ip: '::ffff:1.2.3.4' });
+    assert.strictEqual(getClientIp(req), '1.2.3.4');
+  });
+
+  await t.test('falls back to the socket when req.ip is missing', () => {
+    assert.strictEqual(getClientIp({ socket: { remoteAddress: '::ffff:127.0.0.1' }, headers: {} }), '127.0.0.1');
+  });
+
+  await t.test('reads only the socket with trustProxy: false', () => {
+    const req = request({ socket: '10.0.0.1', ip: '1.2.3.4', headers: { 'x-forwarded-for': '1.2.3.4' } });
+    assert.strictEqual(getClientIp(req, { trustProxy: false, proxyCount: 1 }), '10.0.0.1');
+  });
+});
+
+test('getClientIp with proxyCount', async (t) => {
+  await t.test('ignores spoofed left-most X-Forwarded-For entries', () => {
+    const req = request({ headers: { 'x-forwarded-for': '6.6.6.6, 1.2.3.4' } });
+    assert.strictEqual(getClientIp(req, { proxyCount: 1 }), '1.2.3.4');
+  });
+
+  await t.test('counts every proxy hop from the socket', () => {
+    const req = request({ headers: { 'x-forwarded-for': '6.6.6.6, 1.2.3.4, 10.0.0.2' } });
+    assert.strictEqual(getClientIp(req, { proxyCount: 2 }), '1.2.3.4');
+  });
+
+  await t.test('uses the furthest address when the chain is shorter than proxyCount', () => {
+    const req = request({ headers: { 'x-forwarded-for': '1.2.3.4' } });
+    assert.strictEqual(getClientIp(req, { proxyCount: 3 }), '1.2.3.4');
+  });
+
+  await t.test('uses the socket when the proxy sent no header', () => {
+    assert.strictEqual(getClientIp(request({ socket: '1.2.3.4' }), { proxyCount: 1 }), '1.2.3.4');
+  });
+
+  await t.test('joins repeated headers and strips ports and brackets', () => {
+    const req = request({ headers: { 'x-forwarded-for': ['6.6.6.6', '[2001:db8::1]:4711'] } });
+    assert.strictEqual(getClientIp(req, { proxyCount: 1 }), '2001:db8::1');
+
+    const withPort = request({ headers: { 'x-forwarded-for': '1.2.3.4:5678' } });
+    assert.strictEqual(getClientIp(withPort, { proxyCount: 1 }), '1.2.3.4');
+  });
+
+  await t.test('normalizes mapped addresses in the chain', () => {
+    const req = request({ headers: { 'x-forwarded-for': '::ffff:1.2.3.4' } });
+    assert.strictEqual(getClientIp(req, { proxyCount: 1 }), '1.2.3.4');
+  });
+});
+
+test('getClientIp with trustedProxies', async (t) => {
+  const options = { trustedProxies: ['10.0.0.0/8', '2001:db8:ffff::/48'] };
+
+  await t.test('walks back past trusted hops only', () => {
+    const req = request({ headers: { 'x-forwarded-for': '6.6.6.6, 1.2.3.4, 10.0.0.2' } });
+    assert.strictEqual(getClientIp(req, options), '1.2.3.4');
+  });
+
+  await t.test('does not trust hops left of an untrusted one', () => {
+    const req = request({ headers: { 'x-forwarded-for': '10.9.9.9, 1.2.3.4' } });
+    assert.strictEqual(getClientIp(req, options), '1.2.3.4');
+  });
+
+  await t.test('ignores the header when the peer is not a trusted proxy', () => {
+    const req = request({ socket: '5.5.5.5', headers: { 'x-forwarded-for': '6.6.6.6' } });
+    assert.strictEqual(getClientIp(req, options), '5.5.5.5');
+  });
+
+  await t.test('returns the left-most address when every hop is trusted', () => {
+    const req = request({ headers: { 'x-forwarded-for': '10.0.0.3, 10.0.0.2' } });
+    assert.strictEqual(getClientIp(req, options), '10.0.0.3');
+  });
+
+  await t.test('trusts IPv6 proxies and mapped peers', () => {
+    const req = request({ socket: '::ffff:10.0.0.1', headers: { 'x-forwarded-for': '1.2.3.4, 2001:db8:ffff::9' } });
+    assert.strictEqual(getClientIp(req, options), '1.2.3.4');
+  });
+
+  await t.test('does not trust private ranges unless listed', () => {
+    const req = request({ socket: '192.168.0.1', headers: { 'x-forwarded-for': '6.6.6.6' } });
+    assert.strictEqual(getClientIp(req, options), '192.168.0.1');
+  });
+});
+
+test('getClientIp with proxyHeader', async (t) => {
+  const options = { trustedProxies: ['10.0.0.0/8'], proxyHeader: 'forwarded' };
+
+  await t.test('parses Forwarded with bracketed IPv6 and ports', () => {
+    const req = request({
+      headers: { forwarded: 'for="[2001:db8:cafe::17]:4711";proto=https, for=10.0.0.2' }
+    });
+    assert.strictEqual(getClientIp(req, options), '2001:db8:cafe::17');
+
+    const v4 = request({ headers: { forwarded: 'for=6.6.6.6, for="192.0.2.43:47011";by=10.0.0.2' } });
+    assert.strictEqual(getClientIp(v4, options), '192.0.2.43');
+  });
+
+  await t.test('reads Forwarded parameters in any order and case', () => {
+    const req = request({ headers: { forwarded: 'proto=https;For=192.0.2.60' } });
+    assert.strictEqual(getClientIp(req, options), '192.0.2.60');
+  });
+
+  await t.test('treats for=unknown and elements without for as an unknown client', () => {
+    const unknown = request({ headers: { forwarded: 'for=6.6.6.6, for=unknown, for=10.0.0.2' } });
+    assert.strictEqual(getClientIp(unknown, options), 'unknown');
+
+    const missing = request({ headers: { forwarded: 'proto=https' } });
+    assert.strictEqual(getClientIp(missing, options), 'unknown');
+  });
+
+  await t.test('ignores X-Forwarded-For when Forwarded is configured', () => {
+    const req = request({ headers: { 'x-forwarded-for': '6.6.6.6', forwarded: 'for=1.2.3.4' } });
+    assert.strictEqual(getClientIp(req, options), '1.2.3.4');
+    assert.strictEqual(getClientIp(request({ headers: { 'x-forwarded-for': '6.6.6.6' } }), options), '10.0.0.1');
+  });
+
+  await t.test('ignores a client-sent Forwarded header by default', () => {
+    const req = request({ headers: { forwarded: 'for=6.6.6.6', 'x-forwarded-for': '1.2.3.4' } });
+    assert.strictEqual(getClientIp(req, { proxyCount: 1 }), '1.2.3.4');
+  });
+
+  await t.test('reads a single-address header such as X-Real-IP', () => {
+    const req = request({ headers: { 'x-real-ip': '1.2.3.4', 'x-forwarded-for': '6.6.6.6' } });
+    assert.strictEqual(getClientIp(req, { proxyCount: 1, proxyHeader: 'X-Real-IP' }), '1.2.3.4');
+  });
+});
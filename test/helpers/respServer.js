@@ -0,0 +1,166 @@
+const net = require('net');
+
+// In-process stand-in for the parts of Redis that RedisStore and RedisAdapter use:
+// GET, SET (PX), DEL, MGET, SCAN, WATCH/MULTI/EXEC, PUBLISH/SUBSCRIBE, PING and QUIT
+class RespServer {
+  constructor() {
+    this.data = new Map();
+    this.expiries = new Map();
+    this.versions = new Map();
+    this.channels = new Map();
+    this.commands = [];
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.accept(socket));
+  }
+
+  async listen() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    return this.server.address().port;
+  }
+
+  async close() {
+    this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  accept(socket) {
+    const state = { buffer: Buffer.alloc(0), watched: null, queue: null };
+    this.sockets.add(socket);
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.sockets.delete(socket);
+      this.channels.forEach(subscribers => subscribers.delete(socket));
+    });
+    socket.on('data', (chunk) => {
+      state.buffer = Buffer.concat([state.buffer, chunk]);
+      let parsed;
+      while ((parsed = parseCommand(state.buffer))) {
+        state.buffer = state.buffer.subarray(parsed.offset);
+        this.handle(socket, state, parsed.args);
+      }
+    });
+  }
+
+  handle(socket, state, args) {
+    const name = args[0].toUpperCase();
+    this.commands.push(name);
+
+    switch (name) {
+      case 'WATCH':
+        state.watched = state.watched || new Map();
+        args.slice(1).forEach(key => state.watched.set(key, this.versions.get(key) || 0));
+        return socket.write(encode({ status: 'OK' }));
+      case 'UNWATCH':
+        state.watched = null;
+        return socket.write(encode({ status: 'OK' }));
+      case 'MULTI':
+        state.queue = [];
+        return socket.write(encode({ status: 'OK' }));
+      case 'EXEC': {
+        const { queue, watched } = state;
+        state.queue = null;
+        state.watched = null;
+        const changed = watched && [...watched].some(([key, version]) => (this.versions.get(key) || 0) !== version);
+        return socket.write(changed ? '*-1\r\n' : encode(queue.map(queued => this.execute(queued))));
+      }
+      case 'SUBSCRIBE':
+        args.slice(1).forEach((channel, i) => {
+          if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+          this.channels.get(channel).add(socket);
+          socket.write(encode(['subscribe', channel, i + 1]));
+        });
+        return undefined;
+      default:
+        if (state.queue) {
+          state.queue.push(args);
+          return socket.write(encode({ status: 'QUEUED' }));
+        }
+        return socket.write(encode(this.execute(args)));
+    }
+  }
+
+  read(key) {
+    if (this.expiries.has(key) && Date.now() >= this.expiries.get(key)) {
+      this.data.delete(key);
+      this.expiries.delete(key);
+    }
+    return this.data.get(key);
+  }
+
+  touch(key) {
+    this.versions.set(key, (this.versions.get(key) || 0) + 1);
+  }
+
+  execute([command, ...args]) {
+    switch (command.toUpperCase()) {
+      case 'PING':
+        return { status: 'PONG' };
+      case 'QUIT':
+        return { status: 'OK' };
+      case 'GET':
+        return this.read(args[0]) ?? null;
+      case 'SET': {
+        const [key, value, option, ttl] = args;
+        this.data.set(key, value);
+        this.expiries.delete(key);
+        if (option?.toUpperCase() === 'PX') this.expiries.set(key, Date.now() + Number(ttl));
+        this.touch(key);
+        return { status: 'OK' };
+      }
+      case 'DEL':
+        return args.filter((key) => {
+          this.touch(key);
+          this.expiries.delete(key);
+          return this.data.delete(key);
+        }).length;
+      case 'MGET':
+        return args.map(key => this.read(key) ?? null);
+      case 'SCAN': {
+        const pattern = args[args.findIndex(arg => arg.toUpperCase() === 'MATCH') + 1] || '*';
+        const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+        return ['0', [...this.data.keys()].filter(key => this.read(key) !== undefined && regex.test(key))];
+      }
+      case 'PUBLISH': {
+        const subscribers = this.channels.get(args[0]) || new Set();
+        subscribers.forEach(socket => socket.write(encode(['message', args[0], args[1]])));
+        return subscribers.size;
+      }
+      default:
+        return new Error(`ERR unknown command '${command}'`);
+    }
+  }
+}
+
+function encode(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  if (value.status) return `+${value.status}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+// Parses one RESP array of bulk strings, or returns null when the buffer is incomplete
+function parseCommand(buffer) {
+  let offset = 0;
+  const line = () => {
+    const end = buffer.indexOf('\r\n', offset);
+    if (end === -1) return null;
+    const text = buffer.toString('utf8', offset, end);
+    offset = end + 2;
+    return text;
+  };
+
+  const header = line();
+  if (header === null) return null;
+  const args = [];
+  for (let i = 0; i < Number(header.slice(1)); i++) {
+    const length = line();
+    if (length === null || buffer.length < offset + Number(length.slice(1)) + 2) return null;
+    args.push(buffer.toString('utf8', offset, offset + Number(length.slice(1))));
+    offset += Number(length.slice(1)) + 2;
+  }
+  return { args, offset };
+}
+
+module.exports = RespServer;
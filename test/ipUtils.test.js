@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseIp, isIp, normalizeIp, parseCidr, cidrContains, ipSubnet, IpList } = require('../src/ipUtils');
+
+test('parseIp', async (t) => {
+  await t.test('parses IPv4 and rejects out-of-range octets', () => {
+    assert.deepStrictEqual(parseIp('1.2.3.4'), { version: 4, value: 0x01020304n });
+    assert.strictEqual(parseIp('1.2.3.256'), null);
+    assert.strictEqual(parseIp('1.2.3'), null);
+    assert.strictEqual(parseIp(undefined), null);
+  });
+
+  await t.test('parses IPv6 with compression, brackets and zone IDs', () => {
+    assert.deepStrictEqual(parseIp('::1'), { version: 6, value: 1n });
+    assert.deepStrictEqual(parseIp('[2001:db8::1]'), parseIp('2001:0db8:0:0:0:0:0:1'));
+    assert.deepStrictEqual(parseIp('fe80::1%eth0'), parseIp('fe80::1'));
+    assert.strictEqual(parseIp('1::2::3'), null);
+    assert.strictEqual(parseIp('1:2:3:4:5:6:7:8:9'), null);
+    assert.strictEqual(parseIp('2001:db8::g'), null);
+  });
+
+  await t.test('unwraps ::ffff: mapped addresses to IPv4', () => {
+    assert.deepStrictEqual(parseIp('::ffff:1.2.3.4'), { version: 4, value: 0x01020304n });
+    assert.deepStrictEqual(parseIp('::ffff:0102:0304'), { version: 4, value: 0x01020304n });
+    assert.deepStrictEqual(parseIp('::1.2.3.4'), { version: 6, value: 0x01020304n });
+    assert.strictEqual(parseIp('::ffff:1.2.3.999'), null);
+  });
+
+  await t.test('isIp tells addresses from other keys', () => {
+    assert.ok(isIp('10.0.0.1'));
+    assert.ok(isIp('2001:db8::1'));
+    assert.ok(!isIp('unknown'));
+    assert.ok(!isIp('api-key-1'));
+  });
+});
+
+test('normalizeIp', async (t) => {
+  await t.test('writes one canonical form per address', () => {
+    assert.strictEqual(normalizeIp('::ffff:127.0.0.1'), '127.0.0.1');
+    assert.strictEqual(normalizeIp('2001:0DB8:0000:0000:0000:0000:0000:0001'), '2001:db8::1');
+    assert.strictEqual(normalizeIp('2001:db8:0:0:1:0:0:1'), '2001:db8::1:0:0:1');
+    assert.strictEqual(normalizeIp('2001:db8:0:1:1:1:1:1'), '2001:db8:0:1:1:1:1:1');
+    assert.strictEqual(normalizeIp(' [::1] '), '::1');
+  });
+
+  await t.test('returns anything that is not an address unchanged', () => {
+    assert.strictEqual(normalizeIp('unknown'), 'unknown');
+    assert.strictEqual(normalizeIp(undefined), undefined);
+  });
+});
+
+test('CIDR ranges', async (t) => {
+  await t.test('masks the network and rejects bad prefixes', () => {
+    assert.deepStrictEqual(parseCidr('10.1.2.3/8'), { version: 4, bits: 8, network: 0x0a000000n });
+    assert.strictEqual(parseCidr('10.0.0.0/33'), null);
+    assert.strictEqual(parseCidr('10.0.0.0/x'), null);
+    assert.strictEqual(parseCidr('2001:db8::/129'), null);
+    assert.strictEqual(parseCidr('nope/8'), null);
+  });
+
+  await t.test('matches IPv4, IPv6 and mapped addresses', () => {
+    assert.ok(cidrContains('10.0.0.0/8', '10.255.0.1'));
+    assert.ok(!cidrContains('10.0.0.0/8', '11.0.0.1'));
+    assert.ok(cidrContains('10.0.0.0/8', '::ffff:10.1.2.3'));
+    assert.ok(cidrContains('2001:db8::/32', '2001:db8:ffff::1'));
+    assert.ok(!cidrContains('2001:db8::/32', '2001:db9::1'));
+    assert.ok(cidrContains('0.0.0.0/0', '8.8.8.8'));
+  });
+
+  await t.test('never matches across address families', () => {
+    assert.ok(!cidrContains('::/0', '1.2.3.4'));
+    assert.ok(!cidrContains('0.0.0.0/0', '::1'));
+  });
+
+  await t.test('reads mapped prefixes against the IPv6 length', () => {
+    assert.deepStrictEqual(parseCidr('::ffff:10.0.0.0/104'), parseCidr('10.0.0.0/8'));
+    assert.strictEqual(parseCidr('::ffff:10.0.0.0/64'), null);
+  });
+});
+
+test('ipSubnet', async (t) => {
+  await t.test('buckets IPv6 clients by /64', () => {
+    assert.strictEqual(ipSubnet('2001:db8:1:2:aaaa::1', 64), '2001:db8:1:2::/64');
+    assert.strictEqual(ipSubnet('2001:db8:1:2:bbbb:cccc:dddd:eeee', 64), '2001:db8:1:2::/64');
+    assert.notStrictEqual(ipSubnet('2001:db8:1:3::1', 64), ipSubnet('2001:db8:1:2::1', 64));
+  });
+
+  await t.test('masks IPv4 and leaves other keys alone', () => {
+    assert.strictEqual(ipSubnet('192.168.1.77', 24), '192.168.1.0/24');
+    assert.strictEqual(ipSubnet('::ffff:192.168.1.77', 24), '192.168.1.0/24');
+    assert.strictEqual(ipSubnet('api-key-1', 64), 'api-key-1');
+  });
+});
+
+test('IpList', async (t) => {
+  await t.test('matches exact addresses in any notation', () => {
+    const list = new IpList(['1.2.3.4', '2001:db8::1']);
+    assert.ok(list.has('1.2.3.4'));
+    assert.ok(list.has('::ffff:1.2.3.4'));
+    assert.ok(list.has('2001:0db8:0:0:0:0:0:1'));
+    assert.ok(!list.has('1.2.3.5'));
+  });
+
+  await t.test('matches CIDR ranges', () => {
+    const list = new IpList(['10.0.0.0/8', '2001:db8::/48']);
+    assert.ok(list.has('10.20.30.40'));
+    assert.ok(list.has('::ffff:10.20.30.40'));
+    assert.ok(list.has('2001:db8:0:ffff::1'));
+    assert.ok(!list.has('2001:db8:1::1'));
+  });
+
+  await t.test('expands 10.0.* shorthand to the remaining octets', () => {
+    const list = new IpList(['10.0.*', '192.168.*.1']);
+    assert.ok(list.has('10.0.5.6'));
+    assert.ok(list.has('10.0.255.255'));
+    assert.ok(list.has('::ffff:10.0.5.6'));
+    assert.ok(!list.has('10.1.0.1'));
+    assert.ok(!list.has('110.0.5.6'));
+    assert.ok(list.has('192.168.7.1'));
+    assert.ok(!list.has('192.168.7.2'));
+  });
+
+  await t.test('keeps plain keys as exact matches', () => {
+    const list = new IpList(['api-key-1']);
+    assert.ok(list.has('api-key-1'));
+    assert.ok(!list.has('api-key-12'));
+    assert.ok(!list.has(null));
+  });
+
+  await t.test('adds and removes entries once', () => {
+    const list = new IpList(['1.2.3.4']);
+    assert.strictEqual(list.add('1.2.3.4'), false);
+    assert.strictEqual(list.add('10.0.0.0/8'), true);
+    assert.deepStrictEqual(list.entries(), ['1.2.3.4', '10.0.0.0/8']);
+    assert.strictEqual(list.remove('1.2.3.4'), true);
+    assert.strictEqual(list.remove('1.2.3.4'), false);
+    assert.strictEqual(list.size, 1);
+  });
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocketSupport = require('../src/websocketSupport');
+const { RedisAdapter } = require('../src/adapters');
+const RespServer = require('./helpers/respServer');
+
+// Stands in for an open ws socket; the tests only look at what gets sent
+function addConnection(wsSupport, connectionId) {
+  const sent = [];
+  wsSupport.connections.set(connectionId, {
+    ws: { OPEN: 1, readyState: 1, send: message => sent.push(message) },
+    rooms: new Set(),
+    bytesSent: 0
+  });
+  return sent;
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('RedisAdapter', async (t) => {
+  const server = new RespServer();
+  const port = await server.listen();
+  const createNode = nodeId => new WebSocketSupport({
+    clustering: { adapter: new RedisAdapter({ port, nodeId, prefix: 'test:', retryDelayMs: 20 }) }
+  });
+
+  const a = createNode('a');
+  const b = createNode('b');
+  t.after(async () => {
+    await Promise.all([a.close(), b.close()]);
+    await server.close();
+  });
+  await Promise.all([a.adapterReady, b.adapterReady]);
+
+  await t.test('subscribes each node to the shared channel', () => {
+    assert.strictEqual(server.channels.get('test:ws').size, 2);
+  });
+
+  await t.test('delivers broadcasts to the other node only once', async () => {
+    const onA = addConnection(a, 'a1');
+    const onB = addConnection(b, 'b1');
+
+    assert.strictEqual(a.broadcast({ text: 'hi' }), 1);
+    await waitFor(() => onB.length === 1);
+
+    assert.deepStrictEqual(onA, ['{"text":"hi"}']);
+    assert.deepStrictEqual(onB, ['{"text":"hi"}']);
+  });
+
+  await t.test('keeps binary payloads binary across nodes', async () => {
+    const onB = addConnection(b, 'b2');
+    a.broadcast(Buffer.from([0, 1, 255]));
+    await waitFor(() => onB.length === 1);
+
+    assert.ok(Buffer.isBuffer(onB[0]));
+    assert.deepStrictEqual([...onB[0]], [0, 1, 255]);
+  });
+
+  await t.test('delivers room messages to remote members except excluded ones', async () => {
+    const member = addConnection(b, 'b3');
+    const excluded = addConnection(b, 'b4');
+    const outsider = addConnection(b, 'b5');
+    b.join('b3', 'chat');
+    b.join('b4', 'chat');
+
+    assert.strictEqual(a.toRoom('chat').except('b4').send('hello'), 0);
+    await waitFor(() => member.length === 1);
+
+    assert.deepStrictEqual(member, ['hello']);
+    assert.deepStrictEqual(excluded, []);
+    assert.deepStrictEqual(outsider, []);
+  });
+
+  await t.test('shares stats and drops nodes that leave', async () => {
+    b.reportStats();
+    await waitFor(() => a.getClusterStats().rooms.chat === 2);
+    assert.strictEqual(a.getClusterStats().nodeCount, 2);
+
+    const c = createNode('c');
+    await c.adapterReady;
+    await waitFor(() => a.getClusterStats().nodeCount === 3);
+
+    await c.close();
+    await waitFor(() => a.getClusterStats().nodeCount === 2);
+  });
+
+  await t.test('resubscribes after the subscriber connection drops', async () => {
+    const onB = addConnection(b, 'b6');
+    const subscribers = server.channels.get('test:ws');
+    const dropped = [...subscribers];
+    dropped.forEach(socket => socket.destroy());
+    await waitFor(() => subscribers.size === 2 && dropped.every(socket => !subscribers.has(socket)));
+
+    a.broadcast('again');
+    await waitFor(() => onB.length === 1);
+    assert.deepStrictEqual(onB, ['again']);
+  });
+});
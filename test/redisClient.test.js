@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RedisClient = require('../src/redisClient');
+const RespServer = require('./helpers/respServer');
+
+test('RedisClient', async (t) => {
+  const server = new RespServer();
+  const port = await server.listen();
+  const client = new RedisClient({ port });
+  t.after(async () => {
+    await client.close();
+    await server.close();
+  });
+
+  await t.test('parses status, bulk, null, integer and array replies', async () => {
+    assert.strictEqual(await client.command(['PING']), 'PONG');
+    assert.strictEqual(await client.command(['SET', 'a', 'héllo\r\nworld']), 'OK');
+    assert.strictEqual(await client.command(['GET', 'a']), 'héllo\r\nworld');
+    assert.strictEqual(await client.command(['GET', 'missing']), null);
+    assert.strictEqual(await client.command(['DEL', 'a', 'missing']), 1);
+    assert.deepStrictEqual(await client.command(['MGET', 'a', 'b']), [null, null]);
+  });
+
+  await t.test('rejects error replies with RedisError', async () => {
+    await assert.rejects(client.command(['NOPE']), (error) => {
+      assert.ok(error instanceof RedisClient.RedisError);
+      assert.match(error.message, /unknown command/);
+      return true;
+    });
+    assert.strictEqual(await client.command(['PING']), 'PONG');
+  });
+
+  await t.test('answers pipelined commands in order', async () => {
+    const replies = await client.pipeline([['SET', 'p', '1'], ['GET', 'p'], ['DEL', 'p'], ['GET', 'p']]);
+    assert.deepStrictEqual(replies, ['OK', '1', 1, null]);
+  });
+
+  await t.test('waits for replies split across chunks', () => {
+    const parser = new RedisClient();
+    const replies = [];
+    parser.pending.push({ resolve: value => replies.push(value), reject: assert.fail });
+    parser.pending.push({ resolve: value => replies.push(value), reject: assert.fail });
+
+    const wire = Buffer.from('*3\r\n$7\r\nmessage\r\n*-1\r\n:42\r\n$5\r\nhello\r\n');
+    for (const byte of wire) parser.onData(Buffer.from([byte]));
+
+    assert.deepStrictEqual(replies, [['message', null, 42], 'hello']);
+  });
+
+  await t.test('emits unsolicited replies as push events', () => {
+    const parser = new RedisClient();
+    const pushes = [];
+    parser.on('push', reply => pushes.push(reply));
+    parser.onData(Buffer.from('*3\r\n$7\r\nmessage\r\n$2\r\nch\r\n$2\r\nhi\r\n'));
+    assert.deepStrictEqual(pushes, [['message', 'ch', 'hi']]);
+  });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RedisStore = require('../src/stores/redisStore');
+const RespServer = require('./helpers/respServer');
+
+test('RedisStore', async (t) => {
+  const server = new RespServer();
+  const port = await server.listen();
+  const store = new RedisStore({ port, prefix: 'test:' });
+  t.after(async () => {
+    await store.close();
+    await server.close();
+  });
+
+  t.beforeEach(() => store.clear());
+
+  await t.test('round-trips JSON values and deletes them', async () => {
+    await store.set('requests', 'a', { count: 1, resetTime: 5 });
+    assert.deepStrictEqual(await store.get('requests', 'a'), { count: 1, resetTime: 5 });
+    assert.ok(server.data.has('test:requests:a'));
+
+    await store.delete('requests', 'a');
+    assert.strictEqual(await store.get('requests', 'a'), undefined);
+  });
+
+  await t.test('expires values after their TTL', async () => {
+    await store.set('bans', 'a', true, 20);
+    assert.strictEqual(await store.get('bans', 'a'), true);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.strictEqual(await store.get('bans', 'a'), undefined);
+  });
+
+  await t.test('lists entries of one type and clears them', async () => {
+    await store.set('requests', 'a', 1);
+    await store.set('requests', 'b', 2);
+    await store.set('bans', 'a', true);
+
+    const entries = await store.entries('requests');
+    assert.deepStrictEqual(entries.sort(), [['a', 1], ['b', 2]]);
+
+    await store.clear('requests');
+    assert.deepStrictEqual(await store.entries('requests'), []);
+    assert.deepStrictEqual(await store.entries('bans'), [['a', true]]);
+  });
+
+  await t.test('update deletes the key when the updater returns undefined', async () => {
+    await store.set('requests', 'a', 1);
+    assert.strictEqual(await store.update('requests', 'a', () => undefined), undefined);
+    assert.strictEqual(await store.get('requests', 'a'), undefined);
+  });
+
+  await t.test('update unwatches and rethrows when the updater throws', async () => {
+    await assert.rejects(store.update('requests', 'a', () => {
+      throw new Error('boom');
+    }), /boom/);
+    assert.strictEqual(server.commands.at(-1), 'UNWATCH');
+    assert.strictEqual(await store.update('requests', 'a', (value = 0) => value + 1), 1);
+  });
+
+  await t.test('update pipelines WATCH/GET and MULTI/SET/EXEC', async () => {
+    server.commands.length = 0;
+    await store.update('requests', 'a', (value = 0) => value + 1);
+    assert.deepStrictEqual(server.commands, ['WATCH', 'GET', 'MULTI', 'SET', 'EXEC']);
+  });
+
+  await t.test('concurrent updates from separate stores are not lost', async () => {
+    const other = new RedisStore({ port, prefix: 'test:', poolSize: 2 });
+    t.after(() => other.close());
+
+    const increment = (value = 0) => value + 1;
+    await Promise.all(Array.from({ length: 100 }, (_, i) => (i % 2 ? store : other).update('requests', 'hot', increment)));
+
+    assert.strictEqual(await store.get('requests', 'hot'), 100);
+  });
+
+  await t.test('spreads keys over the connection pool', () => {
+    const slots = new Set(Array.from({ length: 50 }, (_, i) => store.txSlot(store.redisKey('requests', `k${i}`))));
+    assert.strictEqual(store.txClients.length, 4);
+    assert.ok(slots.size > 1);
+  });
+});